@@ -0,0 +1,127 @@
+﻿/*
+ * File: antialiasing.js
+ * Author: Nathan Hunter
+ * Date: May 9, 2022
+ *
+ * Purpose: Anti-aliasing of the deferred output, which has no
+ *          multisampling.
+ *
+ *          fxaa_fragment is a post processing pass after tone
+ *          mapping, it blurs along edges found from luma contrast.
+ *
+ *          taa_shader accumulates jittered frames in HDR before
+ *          post processing.  The history is reprojected by the GBuffer's
+ *          velocity, the background by last frame's view projection,
+ *          and clamped to the current frame's 3x3 neighbourhood so
+ *          disocclusions don't ghost.
+ *
+ *          taaParams:
+ *          X - weight of the current frame
+ *          Y - 1 when the history is valid, 0 after a reset
+ */
+
+const fxaa_fragment = `#version 300 es
+    precision highp float;
+
+    #define EDGE_MIN 0.0078125
+    #define EDGE_MUL 0.125
+    #define SPAN_MAX 8.0
+
+    in vec2 UV;
+
+    layout(location = 0) out vec4 out_FragColour;
+
+    uniform sampler2D baseTexture;
+
+    float luma(vec3 color)
+    {
+        return dot(color, vec3(0.299, 0.587, 0.114));
+    }
+
+    void main(void) {
+
+        vec2 texel = 1.0 / vec2(textureSize(baseTexture, 0));
+        vec3 center = texture(baseTexture, UV).rgb;
+        float lumaNW = luma(texture(baseTexture, UV + vec2(-1.0, -1.0) * texel).rgb);
+        float lumaNE = luma(texture(baseTexture, UV + vec2(1.0, -1.0) * texel).rgb);
+        float lumaSW = luma(texture(baseTexture, UV + vec2(-1.0, 1.0) * texel).rgb);
+        float lumaSE = luma(texture(baseTexture, UV + vec2(1.0, 1.0) * texel).rgb);
+        float lumaM = luma(center);
+        float lumaMin = min(lumaM, min(min(lumaNW, lumaNE), min(lumaSW, lumaSE)));
+        float lumaMax = max(lumaM, max(max(lumaNW, lumaNE), max(lumaSW, lumaSE)));
+
+        // Direction along the edge, shorter where contrast is low
+        vec2 dir = vec2(-((lumaNW + lumaNE) - (lumaSW + lumaSE)), (lumaNW + lumaSW) - (lumaNE + lumaSE));
+        float reduce = max((lumaNW + lumaNE + lumaSW + lumaSE) * 0.25 * EDGE_MUL, EDGE_MIN);
+        float scale = 1.0 / (min(abs(dir.x), abs(dir.y)) + reduce);
+        dir = clamp(dir * scale, vec2(-SPAN_MAX), vec2(SPAN_MAX)) * texel;
+
+        vec3 colorA = 0.5 * (texture(baseTexture, UV + dir * (1.0 / 3.0 - 0.5)).rgb + texture(baseTexture, UV + dir * (2.0 / 3.0 - 0.5)).rgb);
+        vec3 colorB = colorA * 0.5 + 0.25 * (texture(baseTexture, UV - dir * 0.5).rgb + texture(baseTexture, UV + dir * 0.5).rgb);
+
+        // The wider sample is only used if it stays within the local range
+        float lumaB = luma(colorB);
+        out_FragColour = vec4((lumaB < lumaMin || lumaB > lumaMax) ? colorA : colorB, 1.0);
+
+    }
+    `;
+
+taa_shader = {
+
+    vertex: postprocess_vertex,
+
+    fragment: `#version 300 es
+    precision highp float;
+
+    in vec2 UV;
+
+    layout(location = 0) out vec4 out_FragColour;
+
+    uniform sampler2D baseTexture;
+    uniform sampler2D historyTexture;
+    uniform sampler2D velocityTexture;
+    uniform mat4 previousViewProjection;
+    uniform vec2 taaParams;
+    ${gbuffer_read}
+    float luma(vec3 color)
+    {
+        return dot(color, vec3(0.2126, 0.7152, 0.0722));
+    }
+
+    void main(void) {
+
+        vec2 texel = 1.0 / vec2(textureSize(baseTexture, 0));
+        vec3 current = texture(baseTexture, UV).rgb;
+
+        // Range of the current frame around the pixel
+        vec3 minColor = current, maxColor = current;
+        for (int x = -1; x <= 1; x++) {
+            for (int y = -1; y <= 1; y++) {
+                vec3 color = texture(baseTexture, UV + vec2(x, y) * texel).rgb;
+                minColor = min(minColor, color);
+                maxColor = max(maxColor, color);
+            }
+        }
+
+        // Where the surface was last frame, the background is reprojected from the far plane
+        vec2 historyUV = UV - texture(velocityTexture, UV).rg;
+        if (gBufferPosition(UV).w == 0.0) {
+            vec4 far = inverseViewProjection * vec4(UV * 2.0 - 1.0, 1.0, 1.0);
+            vec4 clip = previousViewProjection * vec4(far.xyz / far.w, 1.0);
+            historyUV = clip.xy / clip.w * 0.5 + 0.5;
+        }
+
+        float blend = taaParams.x;
+        if (taaParams.y == 0.0 || any(lessThan(historyUV, vec2(0.0))) || any(greaterThan(historyUV, vec2(1.0)))) blend = 1.0;
+        vec3 history = clamp(texture(historyTexture, historyUV).rgb, minColor, maxColor);
+
+        // Weighted by inverse luma so single bright pixels don't flicker
+        float currentWeight = blend / (1.0 + luma(current));
+        float historyWeight = (1.0 - blend) / (1.0 + luma(history));
+        vec3 color = (current * currentWeight + history * historyWeight) / max(currentWeight + historyWeight, 0.0001);
+
+        out_FragColour = vec4(color, 1.0);
+
+    }
+    `
+}
\ No newline at end of file
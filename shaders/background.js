@@ -0,0 +1,102 @@
+﻿/*
+ * File: background.js
+ * Author: Nathan Hunter
+ * Date: May 9, 2022
+ *
+ * Purpose: Fills the pixels no geometry covered with the
+ *          scene's background (see Scene.setBackground*).
+ *          Coverage is the alpha of the GBuffer position, or
+ *          depth with the COMPACT_GBUFFER layout.
+ *
+ *          backgroundType:
+ *          0 - solid color
+ *          1 - gradient from bottom to top color by view height
+ *          2 - cube map
+ *          3 - equirectangular image
+ *
+ *          Colors are linear like light colors and tone mapped
+ *          with the lighting when the light buffer is resolved.
+ *          Fog covers it as if it were at the far plane.
+ */
+
+background_shader = {
+
+    vertex: `#version 300 es
+    precision highp float;
+
+    layout(location = 0) in vec3 aPosition;
+    layout(location = 1) in vec2 aUV;
+
+    out vec2 UV;
+
+    uniform mat4 projection;
+    uniform mat4 model;
+    uniform mat4 modelView;
+
+    void main(void) {
+
+        UV = aUV;
+        gl_Position = projection * modelView * vec4(aPosition, 1.0);
+    }
+    `,
+
+    fragment: `#version 300 es
+    precision highp float;
+
+    #define M_PI  3.1415926535897932384626433832795
+    #define M_2PI 6.283185307179586476925286766559
+
+    in vec2 UV;
+
+    layout(location = 0) out vec4 out_FragColour;
+
+    #ifdef COMPACT_GBUFFER
+    uniform sampler2D depthTexture;
+    #else
+    uniform sampler2D positionTexture;
+    #endif
+    uniform sampler2D baseTexture;
+    uniform samplerCube cubeTexture;
+    uniform mat4 inverseViewProjection;
+    uniform vec3 cameraPosition;
+    uniform int backgroundType;
+    uniform vec3 backgroundColors[2];
+    uniform vec2 backgroundParams;
+    ${fog_common}
+
+    void main(void) {
+
+        #ifdef COMPACT_GBUFFER
+        if (texture(depthTexture, UV).r < 1.0) discard;
+        #else
+        if (texture(positionTexture, UV).a > 0.0) discard;
+        #endif
+
+        // View ray through the far plane, rotated into the background
+        vec4 far = inverseViewProjection * vec4(UV * 2.0 - 1.0, 1.0, 1.0);
+        far.xyz /= far.w;
+        vec3 dir = normalize(far.xyz - cameraPosition);
+        float c = cos(backgroundParams.y), s = sin(backgroundParams.y);
+        dir = mat3(c, 0.0, -s, 0.0, 1.0, 0.0, s, 0.0, c) * dir;
+
+        vec3 color;
+        if (backgroundType == 0) {
+            color = backgroundColors[0] / 255.0;
+        } else if (backgroundType == 1) {
+            color = mix(backgroundColors[1], backgroundColors[0], dir.y * 0.5 + 0.5) / 255.0;
+        } else if (backgroundType == 2) {
+            color = texture(cubeTexture, dir).rgb;
+        } else {
+            vec2 uv = vec2(atan(dir.z, dir.x) / M_2PI + 0.5, asin(clamp(dir.y, -1.0, 1.0)) / M_PI + 0.5);
+            color = textureLod(baseTexture, uv, 0.0).rgb;
+        }
+        color *= backgroundParams.x;
+
+        // Fogged as if at the far plane
+        color = mix(color, fogColor, fogAmount(far.xyz, cameraPosition));
+
+        out_FragColour = vec4(color, 1.0);
+
+    }
+    `
+}
\ No newline at end of file
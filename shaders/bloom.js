@@ -0,0 +1,112 @@
+﻿/*
+ * File: bloom.js
+ * Author: Nathan Hunter
+ * Date: May 9, 2022
+ *
+ * Purpose: Bloom from the HDR light buffer.  Bright light is
+ *          downsampled through a chain of half sized mips, then
+ *          upsampled back, each mip added onto the one above it.
+ *          The top mip is added onto the light buffer before
+ *          tone mapping.
+ *
+ *          With PREFILTER defined the downsample keeps only
+ *          luminance above bloomThreshold:
+ *          X - threshold
+ *          Y - soft knee, the range below it faded in
+ *
+ *          bloomParams of the upsample:
+ *          X - radius of the tent filter in source texels
+ *          Y - weight of the result
+ */
+
+bloomDownsample_shader = {
+
+    vertex: `#version 300 es
+    precision highp float;
+
+    layout(location = 0) in vec3 aPosition;
+    layout(location = 1) in vec2 aUV;
+
+    out vec2 UV;
+
+    uniform mat4 projection;
+    uniform mat4 model;
+    uniform mat4 modelView;
+
+    void main(void) {
+
+        UV = aUV;
+        gl_Position = projection * modelView * vec4(aPosition, 1.0);
+    }
+    `,
+
+    fragment: `#version 300 es
+    precision highp float;
+
+    in vec2 UV;
+
+    layout(location = 0) out vec4 out_FragColour;
+
+    uniform sampler2D baseTexture;
+    uniform vec2 bloomThreshold;
+
+    vec3 tap(vec2 offset)
+    {
+        vec2 texel = 1.0 / vec2(textureSize(baseTexture, 0));
+        return texture(baseTexture, UV + offset * texel).rgb;
+    }
+
+    void main(void) {
+
+        // 13 bilinear taps, a 4x4 box in the middle and four around it
+        vec3 color = (tap(vec2(-1.0, -1.0)) + tap(vec2(1.0, -1.0)) + tap(vec2(-1.0, 1.0)) + tap(vec2(1.0, 1.0))) * 0.125;
+        color += (tap(vec2(-2.0, -2.0)) + tap(vec2(2.0, -2.0)) + tap(vec2(-2.0, 2.0)) + tap(vec2(2.0, 2.0))) * 0.03125;
+        color += (tap(vec2(0.0, -2.0)) + tap(vec2(-2.0, 0.0)) + tap(vec2(2.0, 0.0)) + tap(vec2(0.0, 2.0))) * 0.0625;
+        color += tap(vec2(0.0)) * 0.125;
+
+        #ifdef PREFILTER
+        // Quadratic soft knee below the threshold
+        float luminance = dot(color, vec3(0.2126, 0.7152, 0.0722));
+        float knee = bloomThreshold.y;
+        float soft = clamp(luminance - bloomThreshold.x + knee, 0.0, 2.0 * knee);
+        soft = soft * soft / (4.0 * knee + 0.0001);
+        color *= max(soft, luminance - bloomThreshold.x) / max(luminance, 0.0001);
+        #endif
+
+        out_FragColour = vec4(color, 1.0);
+
+    }
+    `
+}
+
+bloomUpsample_shader = {
+
+    vertex: bloomDownsample_shader.vertex,
+
+    fragment: `#version 300 es
+    precision highp float;
+
+    in vec2 UV;
+
+    layout(location = 0) out vec4 out_FragColour;
+
+    uniform sampler2D baseTexture;
+    uniform vec2 bloomParams;
+
+    void main(void) {
+
+        // 3x3 tent, blended additively onto the larger mip
+        vec2 texel = bloomParams.x / vec2(textureSize(baseTexture, 0));
+        vec3 color = vec3(0.0);
+        for (int x = -1; x <= 1; x++) {
+            for (int y = -1; y <= 1; y++) {
+                float weight = float((2 - abs(x)) * (2 - abs(y))) / 16.0;
+                color += texture(baseTexture, UV + vec2(x, y) * texel).rgb * weight;
+            }
+        }
+
+        out_FragColour = vec4(color * bloomParams.y, 1.0);
+
+    }
+    `
+}
\ No newline at end of file
@@ -0,0 +1,110 @@
+﻿/*
+ * File: decal.js
+ * Author: Nathan Hunter
+ * Date: May 9, 2022
+ *
+ * Purpose: Projects a decal's material onto the GBuffer.  The
+ *          decal's unit box is drawn by back faces, each fragment
+ *          finds the GBuffer surface behind it and discards it if
+ *          outside the box.  The material's textures are mapped
+ *          over the box's XY and projected along its -Z.
+ *
+ *          Output alpha (albedo alpha times the angle fade) blends
+ *          albedo, normal, and material over the surface while the
+ *          GBuffer's alphas are kept (see Renderer.renderDecals).
+ *          The compact layout's octahedral normals can't be blended,
+ *          the decal's replaces the surface's only where alpha is one.
+ *
+ *          decalMatrix is world to the box's local space.
+ *          decalFade is the cos of the angles between the surface
+ *          and the projection at which fading starts (X) and ends (Y).
+ */
+
+decal_shader = {
+
+    vertex: `#version 300 es
+    precision highp float;
+
+    layout(location = 0) in vec3 aPosition;
+
+    uniform mat4 projection;
+    uniform mat4 model;
+    uniform mat4 modelView;
+
+    void main(void) {
+
+        gl_Position = projection * modelView * vec4(aPosition, 1.0);
+    }
+    `,
+
+    fragment: `#version 300 es
+    precision highp float;
+
+    layout(location = 0) out vec4 out_FragAlbedo;
+    layout(location = 1) out vec4 out_FragNormal;
+    layout(location = 2) out vec4 out_FragMaterial;
+
+    uniform sampler2D albedoTexture;
+    uniform sampler2D normalTexture;
+    uniform sampler2D materialTexture;
+    uniform mat4 model;
+    uniform mat4 decalMatrix;
+    uniform vec2 decalFade;
+
+    #ifdef COMPACT_GBUFFER
+    uniform sampler2D depthTexture;
+    uniform mat4 inverseViewProjection;
+    #define coverageTexture depthTexture
+    #else
+    uniform sampler2D positionTexture;
+    #define coverageTexture positionTexture
+    #endif
+    ${gbuffer_encode}
+    void main(void) {
+
+        // Surface behind the fragment
+        vec2 screenUV = gl_FragCoord.xy / vec2(textureSize(coverageTexture, 0));
+        #ifdef COMPACT_GBUFFER
+        float depth = texture(depthTexture, screenUV).r;
+        bool empty = depth == 1.0;
+        vec4 world = inverseViewProjection * vec4(vec3(screenUV, depth) * 2.0 - 1.0, 1.0);
+        vec3 position = world.xyz / world.w;
+        #else
+        vec4 positionSample = texture(positionTexture, screenUV);
+        bool empty = positionSample.a == 0.0;
+        vec3 position = positionSample.xyz;
+        #endif
+
+        vec3 local = (decalMatrix * vec4(position, 1.0)).xyz;
+        vec2 uv = local.xy + 0.5;
+
+        // Derivatives and textures before any discard, neighbours may be outside the box.
+        // Geometric normal from the surface's screen derivatives, the GBuffer's is being written
+        vec3 normal = normalize(cross(dFdx(position), dFdy(position)));
+        vec4 albedo = texture(albedoTexture, uv);
+        vec3 normalSample = texture(normalTexture, uv).rgb;
+        vec3 materialSample = texture(materialTexture, uv).rgb;
+
+        if (empty || any(greaterThan(abs(local), vec3(0.5)))) discard;
+
+        float fade = smoothstep(decalFade.y, decalFade.x, dot(normal, normalize(model[2].xyz)));
+        float alpha = albedo.a * fade;
+        if (alpha <= 0.0) discard;
+
+        // Normal map in a frame around the surface, tangent along the decal's X axis
+        vec3 right = normalize(model[0].xyz);
+        vec3 T = normalize(right - normal * dot(normal, right));
+        mat3 TBN = mat3(T, cross(T, normal), normal);
+        vec3 decalNormal = normalize(TBN * (normalSample * 2.0 - 1.0));
+
+        out_FragAlbedo = vec4(albedo.rgb, alpha);
+        #ifdef COMPACT_GBUFFER
+        out_FragNormal = vec4(octEncode(decalNormal), 0.0, step(1.0, alpha));
+        #else
+        out_FragNormal = vec4(decalNormal, alpha);
+        #endif
+        out_FragMaterial = vec4(materialSample, alpha);
+
+    }
+    `
+}
\ No newline at end of file
@@ -13,16 +13,78 @@
  *          G - roughness
  *          B - ambient occlusion
  *          
- *          Uses point lights with position, color, and attenuation
- *          values.  Attenuation uses XYZ for:
- *          X - constant
- *          Y - linear
- *          Z - quadratic
+ *          Point and spot lights are clustered deferred shading.
+ *          The CPU bins them into screen tiles and depth slices
+ *          (see LightClusters), each fragment only loops over the
+ *          lights of its cluster:
+ *          clusterData  - RG offset/count into lightIndices per cluster
+ *          lightIndices - light index list of all clusters
+ *          lightData    - 9 RGBA texels per light (one row each)
+ *
+ *          Light texels:
+ *          0 - position, type (0 point, 1 spot)
+ *          1 - color, cookie layer in the cookie array (-1 if none)
+ *          2 - attenuation (constant, linear, quadratic), cos inner angle
+ *          3 - spot direction, cos outer angle
+ *          4 - shadow layer (-1 if none), depth bias, resolution
+ *          5-8 - spot projection matrix columns for cookies and shadows
+ *
+ *          Point shadows are six layers of the shadow array, one per
+ *          cube face.
+ *
+ *          With LIGHT_VOLUME defined the shader instead shades the single
+ *          light at lightIndex for a point light's bounding sphere, the
+ *          fragment's GBuffer texel comes from gl_FragCoord.
+ *
+ *          Output is linear HDR color, accumulated in the light buffer
+ *          and tone mapped when resolved (see 'tonemap.js').
+ *
+ *          Directional lights are a vec3 array headed by its length
+ *          with direction, color (scaled by intensity), and shadow parameters:
+ *          X - first cascade layer in the shadow array, -1 if none
+ *          Y - number of cascades
+ *          Z - resolution of each cascade
+ *
+ *          Ambient is image based when environmentParams.x (intensity)
+ *          is above zero, otherwise the flat lightParams.x:
+ *          irradianceMap - diffuse irradiance cube map
+ *          prefilterMap  - GGX prefiltered cube map, roughness per mip
+ *          brdfLUT       - split-sum scale/bias of F0 by cos view and roughness
+ *          Y is the environment's rotation around the up axis, Z its last mip,
+ *          W is zero when the specular part is left to SSR (see 'ssr.js').
+ *          Either ambient is multiplied by ssaoTexture (white when SSAO is off).
  *          
- *          Alpha channels could be used for emissive or other properties.
- *          Or if memory usage needs to be reduced the position buffer
- *          can be removed and the alpha of the other three buffers can store
- *          the x/y/z of each fragment.
+ *          Emission is added after lighting, the normal's alpha is its
+ *          color packed 8 bits per channel and the material's alpha its
+ *          strength (see 'gbuffer.js').
+ *
+ *          With COMPACT_GBUFFER defined the GBuffer has no position,
+ *          it is rebuilt from the depth texture with inverseViewProjection.
+ *          Normals are octahedral, decoded by gbuffer_read, and emission
+ *          has its own target (see 'gbuffer.js').
+ *
+ *          With FORWARD defined the shader lights transparent meshes
+ *          directly, drawn with the 'gbuffer.js' vertex shader.  Surface
+ *          data comes from the material's textures instead of the GBuffer,
+ *          the albedo alpha times opacity is the output alpha, and the
+ *          fragment's cluster is found from gl_FragCoord over screenSize.
+ *
+ *          With VOLUMETRIC defined the shader marches the view ray through
+ *          a uniform participating medium instead, adding up the light of
+ *          the clusters and directional lights it passes (shadowed where
+ *          they cast shadows) scattered towards the camera.  The result is
+ *          added onto the light buffer (see Renderer.renderVolumetric).
+ *          volumetricParams:
+ *          X - density of the medium
+ *          Y - anisotropy of the phase function, -1 back to 1 forward
+ *          Z - number of steps
+ *          W - distance the march stops at
+ *          volumetricJitter offsets the per pixel noise of the steps.
+ *
+ *          Fog is applied to the lit color (see 'fog.js'), light volumes
+ *          are scaled by what the fog leaves of them.
+ *
+ *          The albedo alpha could be used for other properties.
  */
 
 deferred_shader = {
@@ -41,7 +103,9 @@ deferred_shader = {
 
     void main(void) {
 
+        #ifndef LIGHT_VOLUME
         UV = aUV;
+        #endif
         gl_Position = projection * modelView * vec4(aPosition, 1.0);
     }
     `,
@@ -88,27 +152,372 @@ deferred_shader = {
         return reflection(NdotL, roughness) * reflection(NdotV, roughness);
     }
 
+    // Must match CUBE_FACES in 'GLDeferredRenderer.js'
+    const vec3 faceDir[6] = vec3[6](
+        vec3(1.0, 0.0, 0.0), vec3(-1.0, 0.0, 0.0), vec3(0.0, 1.0, 0.0),
+        vec3(0.0, -1.0, 0.0), vec3(0.0, 0.0, 1.0), vec3(0.0, 0.0, -1.0));
+    const vec3 faceUp[6] = vec3[6](
+        vec3(0.0, 1.0, 0.0), vec3(0.0, 1.0, 0.0), vec3(0.0, 0.0, 1.0),
+        vec3(0.0, 0.0, -1.0), vec3(0.0, 1.0, 0.0), vec3(0.0, 1.0, 0.0));
+
+    uniform highp sampler2DArray shadowMaps;
+    uniform highp sampler2DArray cookieMaps;
+    uniform mat4 cascadeMatrices[4];
+    uniform vec4 cascadeBias;
+
+    float falloff(vec3 lightAtten, float lightDist, float intensity)
+    {
+        return 1.0 / (intensity * (lightAtten.x + lightAtten.y * lightDist + lightAtten.z * lightDist * lightDist));
+    }
+
+    float shadowPCF(vec2 uv, float layer, float res, float depth)
+    {
+        // Each light only renders a resolution sized corner of the layer
+        float texel = 1.0 / res;
+        float scale = res / float(textureSize(shadowMaps, 0).x);
+
+        // 3x3 PCF
+        float lit = 0.0;
+        for (int x = -1; x <= 1; x++) {
+            for (int y = -1; y <= 1; y++) {
+                vec2 coord = clamp(uv + vec2(x, y) * texel, 0.5 * texel, 1.0 - 0.5 * texel) * scale;
+                float occluder = texture(shadowMaps, vec3(coord, layer)).r;
+                lit += (depth > occluder) ? 0.0 : 1.0;
+            }
+        }
+
+        return lit / 9.0;
+    }
+
+    float pointShadow(vec3 lightToFrag, vec3 shadow)
+    {
+        // Pick the cube face by major axis
+        vec3 a = abs(lightToFrag);
+        int face = (a.x >= a.y && a.x >= a.z) ? (lightToFrag.x > 0.0 ? 0 : 1) :
+                   (a.y >= a.z) ? (lightToFrag.y > 0.0 ? 2 : 3) : (lightToFrag.z > 0.0 ? 4 : 5);
+
+        // Project onto the face the same way the lookAt/90 degree perspective did
+        vec3 dir = faceDir[face];
+        vec3 right = cross(dir, faceUp[face]);
+        vec3 up = cross(right, dir);
+        float depth = dot(lightToFrag, dir);
+        vec2 uv = vec2(dot(lightToFrag, right), dot(lightToFrag, up)) / depth * 0.5 + 0.5;
+
+        return shadowPCF(uv, shadow.x + float(face), shadow.z, depth - shadow.y);
+    }
+
+    float directionalShadow(vec3 position, vec3 lightDir, vec3 shadow)
+    {
+        // Use the first cascade the fragment falls inside of
+        int cascades = int(shadow.y);
+        float margin = 1.0 / shadow.z;
+        float depth = dot(position, lightDir);
+
+        for (int c = 0; c < cascades; c++) {
+            vec2 uv = (cascadeMatrices[c] * vec4(position, 1.0)).xy * 0.5 + 0.5;
+            if (any(lessThan(uv, vec2(margin))) || any(greaterThan(uv, vec2(1.0 - margin)))) continue;
+            return shadowPCF(uv, shadow.x + float(c), shadow.z, depth - cascadeBias[c]);
+        }
+
+        return 1.0;
+    }
+
+    struct Surface {
+        vec3 position;
+        vec3 normal;
+        vec3 view;
+        vec3 albedo;
+        vec3 matRef;
+        float metallic;
+        float roughness;
+        float FdotV;
+    };
+
+    vec3 brdf(Surface s, vec3 lightNorm)
+    {
+        // PBR lighting, FdotV is premultiplied by 4
+	    vec3 halfNorm = normalize(s.view + lightNorm);
+	    float FdotL = max(dot(s.normal, lightNorm), 0.0);
+
+	    vec3 freq       = fresnel(max(dot(halfNorm, s.view), 0.0), s.matRef);
+        float geo       = geometry(s.normal, s.view, lightNorm, s.roughness);
+	    vec3 numerator  = distribution(s.normal, halfNorm, s.roughness) * geo * freq;
+	    vec3 specular   = numerator / (s.FdotV * FdotL + 0.00000001);
+	    vec3 refraction = (vec3(1.0) - freq) * (1.0 - s.metallic);
+
+        return FdotL * (refraction * s.albedo / M_PI + specular);
+    }
+
+    // Clustered lights
+    uniform highp sampler2D lightData;
+    uniform highp usampler2D clusterData;
+    uniform highp usampler2D lightIndices;
+    uniform vec3 clusterGrid;
+    uniform vec2 clusterDepth;
+    uniform mat4 view;
+
+    vec3 lightRadiance(int index, vec3 position, float intensity, out vec3 lightNorm)
+    {
+        // Point or spot light from the light data texture
+        vec4 lightPos = texelFetch(lightData, ivec2(0, index), 0);
+        vec4 lightColor = texelFetch(lightData, ivec2(1, index), 0);
+        vec4 lightAtten = texelFetch(lightData, ivec2(2, index), 0);
+        vec4 spotDir = texelFetch(lightData, ivec2(3, index), 0);
+        vec3 lightShadow = texelFetch(lightData, ivec2(4, index), 0).xyz;
+        vec3 radiance = lightColor.rgb / 255.0;
+
+        // Calculate this light
+        vec3 lightDir  = lightPos.xyz - position;
+	    lightNorm = normalize(lightDir);
+
+        // Attenuation
+        float lightDist = max(length(lightDir), 0.000001);
+        float attenuation = falloff(lightAtten.xyz, lightDist, intensity);
+
+        if (lightPos.w > 0.5) {
+
+            // Spot light, smooth falloff between the cone angles
+            attenuation *= smoothstep(spotDir.w, lightAtten.w, dot(-lightNorm, spotDir.xyz));
+
+            // Cookie and shadow share the projection through the cone
+            if (attenuation > 0.0 && (lightColor.w >= 0.0 || lightShadow.x >= 0.0)) {
+
+                mat4 spotMatrix = mat4(
+                    texelFetch(lightData, ivec2(5, index), 0),
+                    texelFetch(lightData, ivec2(6, index), 0),
+                    texelFetch(lightData, ivec2(7, index), 0),
+                    texelFetch(lightData, ivec2(8, index), 0));
+
+                vec4 proj = spotMatrix * vec4(position, 1.0);
+                vec2 uv = proj.xy / proj.w * 0.5 + 0.5;
+
+                if (lightColor.w >= 0.0) {
+                    radiance *= texture(cookieMaps, vec3(uv, lightColor.w)).rgb;
+                }
+
+                if (lightShadow.x >= 0.0) {
+                    float depth = dot(-lightDir, spotDir.xyz);
+                    attenuation *= shadowPCF(uv, lightShadow.x, lightShadow.z, depth - lightShadow.y);
+                }
+
+            }
+
+        } else if (lightShadow.x >= 0.0) {
+            attenuation *= pointShadow(-lightDir, lightShadow);
+        }
+
+        return radiance * attenuation;
+    }
+
+    vec3 localLight(int index, Surface s, float intensity)
+    {
+        vec3 lightNorm;
+        vec3 radiance = lightRadiance(index, s.position, intensity, lightNorm);
+        return radiance * brdf(s, lightNorm);
+    }
+
+    uvec2 findCluster(vec2 screenUV, vec3 position)
+    {
+        // Offset and count of the cluster's lights, depth slices are exponential
+        float viewZ = max(-(view * vec4(position, 1.0)).z, clusterDepth.x);
+        ivec3 grid = ivec3(clusterGrid);
+        ivec3 cell = ivec3(ivec2(screenUV * clusterGrid.xy), int(log(viewZ / clusterDepth.x) * clusterDepth.y));
+        cell = clamp(cell, ivec3(0), grid - 1);
+        return texelFetch(clusterData, ivec2(cell.x + cell.y * grid.x, cell.z), 0).rg;
+    }
+
+    int clusterLight(uvec2 cluster, uint n)
+    {
+        int k = int(cluster.x + n);
+        int indexWidth = textureSize(lightIndices, 0).x;
+        return int(texelFetch(lightIndices, ivec2(k % indexWidth, k / indexWidth), 0).r);
+    }
+
+    // Image based lighting
+    uniform samplerCube irradianceMap;
+    uniform samplerCube prefilterMap;
+    uniform sampler2D brdfLUT;
+    uniform vec4 environmentParams;
+    uniform sampler2D ssaoTexture;
+    ${fog_common}
+
+    vec3 environmentLight(Surface s)
+    {
+        // Split-sum approximation, directions are rotated into the environment
+        float c = cos(environmentParams.y), sn = sin(environmentParams.y);
+        mat3 rotation = mat3(c, 0.0, -sn, 0.0, 1.0, 0.0, sn, 0.0, c);
+        vec3 reflected = reflect(-s.view, s.normal);
+
+        float NdotV = s.FdotV / 4.0;
+        vec3 freq = s.matRef + (max(vec3(1.0 - s.roughness), s.matRef) - s.matRef) * pow(clamp(1.0 - NdotV, 0.0, 1.0), 5.0);
+        vec3 refraction = (vec3(1.0) - freq) * (1.0 - s.metallic);
+
+        vec3 irradiance = texture(irradianceMap, rotation * s.normal).rgb;
+        vec3 prefiltered = textureLod(prefilterMap, rotation * reflected, s.roughness * environmentParams.z).rgb;
+        vec2 scaleBias = texture(brdfLUT, vec2(NdotV, s.roughness)).rg;
+
+        vec3 specular = prefiltered * (freq * scaleBias.x + scaleBias.y) * environmentParams.w;
+
+        return (refraction * irradiance * s.albedo + specular) * environmentParams.x;
+    }
+
+    #if defined(FORWARD)
+    in vec3 position;
+    in vec2 UV;
+    in mat3 TBN;
+
+    uniform sampler2D emissiveTexture;
+    uniform vec4 emissiveColor;
+    uniform float opacity;
+    uniform vec2 screenSize;
+    #elif defined(LIGHT_VOLUME)
+    uniform int lightIndex;
+    #else
     in vec2 UV;
+    #endif
 
     layout(location = 0) out vec4 out_FragColour;
 
+    ${gbuffer_read}
+
     uniform sampler2D albedoTexture;
-    uniform sampler2D normalTexture;
     uniform sampler2D materialTexture;
-    uniform sampler2D positionTexture;
     uniform vec3 cameraPosition;
-    uniform vec3 lights[100];
+    uniform vec2 lightParams;
+    #define MAX_DIRECTIONAL_LIGHTS 5
+    uniform vec3 directionalLights[MAX_DIRECTIONAL_LIGHTS * 3 + 1];
+
+    #ifdef COMPACT_GBUFFER
+    uniform sampler2D emissiveTexture;
+    #define coverageTexture depthTexture
+    #else
+    #define coverageTexture positionTexture
+
+    vec3 unpackColor(float packed)
+    {
+        return vec3(floor(packed / 65536.0), mod(floor(packed / 256.0), 256.0), mod(packed, 256.0)) / 255.0;
+    }
+    #endif
+
+    #ifdef VOLUMETRIC
+    uniform vec4 volumetricParams;
+    uniform float volumetricJitter;
+
+    float phase(float cosTheta, float g)
+    {
+        // Henyey-Greenstein, cosTheta between the light's travel direction and the direction
+        // to the camera, positive anisotropy scatters forward
+        float denom = 1.0 + g * g - 2.0 * g * cosTheta;
+        return (1.0 - g * g) / (4.0 * M_PI * denom * sqrt(denom));
+    }
 
     void main(void) {
 
+        // Ray from the camera to the surface, or the far plane where there is none
+        #ifdef COMPACT_GBUFFER
+        vec4 world = inverseViewProjection * vec4(vec3(UV, texture(depthTexture, UV).r) * 2.0 - 1.0, 1.0);
+        vec3 end = world.xyz / world.w;
+        #else
+        vec4 positionSample = texture(positionTexture, UV);
+        vec4 world = inverseViewProjection * vec4(UV * 2.0 - 1.0, 1.0, 1.0);
+        vec3 end = positionSample.a == 0.0 ? world.xyz / world.w : positionSample.xyz;
+        #endif
+
+        vec3 ray = end - cameraPosition;
+        vec3 rayDir = normalize(ray);
+        int steps = int(volumetricParams.z);
+        float stepLength = min(length(ray), volumetricParams.w) / float(steps);
+
+        // Interleaved gradient noise offsets the steps per pixel, TAA averages it over frames
+        float noise = fract(52.9829189 * fract(dot(gl_FragCoord.xy, vec2(0.06711056, 0.00583715))) + volumetricJitter);
+
+        float density = volumetricParams.x;
+        float anisotropy = volumetricParams.y;
+        float intensity = lightParams.y;
+        int dirCount = int(directionalLights[0].x);
+        vec3 scattered = vec3(0.0);
+
+        for (int s = 0; s < steps; s++) {
+
+            float dist = (float(s) + noise) * stepLength;
+            vec3 position = cameraPosition + rayDir * dist;
+            vec3 inScatter = vec3(0.0);
+
+            // The screen tile is the same along the ray, only the depth slice changes
+            uvec2 cluster = findCluster(UV, position);
+            for (uint n = 0u; n < cluster.y; n++) {
+                vec3 lightNorm;
+                vec3 radiance = lightRadiance(clusterLight(cluster, n), position, intensity, lightNorm);
+                inScatter += radiance * phase(dot(rayDir, lightNorm), anisotropy);
+            }
+
+            for (int i = 1; i < dirCount; i++) {
+
+                vec3 lightDir = directionalLights[i++];
+                vec3 lightColor = directionalLights[i++] / 255.0;
+                vec3 lightShadow = directionalLights[i];
+
+                float shadow = (lightShadow.x >= 0.0) ? directionalShadow(position, lightDir, lightShadow) : 1.0;
+                inScatter += lightColor * shadow * phase(-dot(rayDir, lightDir), anisotropy);
+
+            }
+
+            // Scattered towards the camera and dimmed by the medium in front of the step
+            scattered += inScatter * density * exp(-density * dist) * stepLength;
+
+        }
+
+        out_FragColour = vec4(scattered, 1.0);
+
+    }
+    #else
+    void main(void) {
+
+        #ifdef LIGHT_VOLUME
+        vec2 UV = gl_FragCoord.xy / vec2(textureSize(coverageTexture, 0));
+        #endif
+
         // Final color RGB
         vec3 color = vec3(0.0);
         
-        // Gbuffer samples
-        vec3 position = texture(positionTexture, UV).rgb;
-        vec3 albedo   = texture(albedoTexture, UV).rgb;
+        // Gbuffer samples, the background pass fills uncovered pixels
+        #if defined(FORWARD)
+        vec2 screenUV = gl_FragCoord.xy / screenSize;
+        float alpha = texture(albedoTexture, UV).a * opacity;
+        vec3 fragNorm = normalize(TBN * (texture(normalTexture, UV).rgb * 2.0 - 1.0));
         vec3 material = texture(materialTexture, UV).rgb;
-        vec3 fragNorm = texture(normalTexture, UV).rgb;
+        vec3 emission = emissiveColor.rgb;
+        if (emissiveColor.a > 0.5) emission *= texture(emissiveTexture, UV).rgb;
+        #elif defined(COMPACT_GBUFFER)
+        vec2 screenUV = UV;
+        float depth = texture(depthTexture, UV).r;
+        if (depth == 1.0) {
+            out_FragColour = vec4(0.0, 0.0, 0.0, 1.0);
+            return;
+        }
+
+        vec4 world = inverseViewProjection * vec4(vec3(UV, depth) * 2.0 - 1.0, 1.0);
+        vec3 position = world.xyz / world.w;
+        vec3 fragNorm = gBufferNormal(UV);
+        vec3 material = texture(materialTexture, UV).rgb;
+        vec4 emissiveSample = texture(emissiveTexture, UV);
+        vec3 emission = emissiveSample.rgb * emissiveSample.a / max(1.0 - emissiveSample.a, 1.0 / 255.0);
+        #else
+        vec4 positionSample = texture(positionTexture, UV);
+        if (positionSample.a == 0.0) {
+            out_FragColour = vec4(0.0, 0.0, 0.0, 1.0);
+            return;
+        }
+
+        vec2 screenUV = UV;
+        vec3 position = positionSample.rgb;
+        vec4 materialSample = texture(materialTexture, UV);
+        vec4 normalSample = texture(normalTexture, UV);
+        vec3 material = materialSample.rgb;
+        vec3 fragNorm = normalSample.rgb;
+        vec3 emission = unpackColor(normalSample.a) * materialSample.a;
+        #endif
+        vec3 albedo   = texture(albedoTexture, UV).rgb;
 
         // Unpack material
         vec3 ao = material.b * albedo;
@@ -122,49 +531,67 @@ deferred_shader = {
 	    float reflNorm = reflection(FdotV, roughness);
 	    FdotV *= 4.0;
 
+        Surface surface = Surface(position, fragNorm, viewNorm, albedo, matRef, metallic, roughness, FdotV);
+
         // Unpack light params
-        vec3 params = lights[0];
-        int count = int(params.x);
-        float ambient = params.y;
-        float intensity = params.z;
+        float ambient = lightParams.x;
+        float intensity = lightParams.y;
 
-        // Loop through lights
-        for (int i = 1; i < count; i++) {
+        #ifdef LIGHT_VOLUME
 
-            vec3 lightPos = lights[i++];
-            vec3 lightColor = lights[i++] / 255.0;
-            vec3 lightAtten = lights[i];
+        // Only this volume's light, ambient and the rest come from the fullscreen pass
+        float fog = fogAmount(position, cameraPosition);
+        out_FragColour = vec4(localLight(lightIndex, surface, intensity) * (1.0 - fog), 1.0);
 
-            // Calculate this light
-            vec3 lightDir  = lightPos - position;
-		    vec3 lightNorm = normalize(lightDir);
-		    vec3 halfNorm = normalize(viewNorm + lightNorm);
-		    float FdotL = max(dot(fragNorm, lightNorm), 0.0);
+        #else
 
-            // Attenuation
-            float lightDist = max(length(lightDir), 0.000001);
-            float attenuation = 1.0 / (intensity * (lightAtten.x + lightAtten.y * lightDist + lightAtten.z * lightDist * lightDist));
+        // Loop through the point and spot lights of this fragment's cluster
+        uvec2 cluster = findCluster(screenUV, position);
+        for (uint n = 0u; n < cluster.y; n++) {
+            color += localLight(clusterLight(cluster, n), surface, intensity);
+        }
+
+        // Loop through directional lights, no attenuation
+        int dirCount = int(directionalLights[0].x);
+        for (int i = 1; i < dirCount; i++) {
+
+            vec3 lightDir = directionalLights[i++];
+            vec3 lightColor = directionalLights[i++] / 255.0;
+            vec3 lightShadow = directionalLights[i];
 
-            // PBR lighting
-		    vec3 freq       = fresnel(max(dot(halfNorm, viewNorm), 0.0), matRef);
-            float geo       = geometry(fragNorm, viewNorm, lightNorm, roughness);
-		    vec3 numerator  = distribution(fragNorm, halfNorm, roughness) * geo * freq;
-		    vec3 specular   = numerator / (FdotV * FdotL + 0.00000001);
-		    vec3 refraction = (vec3(1.0) - freq) * (1.0 - metallic);
+            float shadow = (lightShadow.x >= 0.0) ? directionalShadow(position, lightDir, lightShadow) : 1.0;
 
-            color += lightColor * attenuation * FdotL * (refraction * albedo / M_PI + specular);
+            color += lightColor * shadow * brdf(surface, -lightDir);
 
         }
             
-        // Ambient
-        color += vec3(ambient) * albedo * ao;
+        // Ambient, from the environment if there is one.  SSAO is of the opaque surface behind
+        #ifdef FORWARD
+        float occlusion = 1.0;
+        #else
+        float occlusion = texture(ssaoTexture, UV).r;
+        #endif
+        if (environmentParams.x > 0.0) {
+            color += environmentLight(surface) * material.b * occlusion;
+        } else {
+            color += vec3(ambient) * albedo * ao * occlusion;
+        }
+
+        // Emission, unlit and unshadowed
+        color += emission;
 
-        // Gamma correction
-        color = color / (color + vec3(1.0));
-        color = pow(color, vec3(1.0/2.2));
+        // Fog over everything, volumes and reflections added later are faded the same
+        color = mix(color, fogColor, fogAmount(position, cameraPosition));
     
+        #ifdef FORWARD
+        out_FragColour = vec4(color, alpha);
+        #else
 		out_FragColour = vec4(color, 1.0);
+        #endif
+
+        #endif
 
     }
+    #endif
     `
 }
\ No newline at end of file
@@ -0,0 +1,162 @@
+﻿/*
+ * File: dof.js
+ * Author: Nathan Hunter
+ * Date: May 9, 2022
+ *
+ * Purpose: Depth of field from the camera's lens, blurring the HDR
+ *          light buffer before post processing.  The circle of
+ *          confusion of each pixel comes from its GBuffer depth, it
+ *          is signed, negative in front of the focus distance:
+ *
+ *          coc = scale * (1 - focus / depth)
+ *
+ *          dofParams:
+ *          X - scale, the CoC in pixels of a point at infinity
+ *              (see PerspectiveCamera.getCircleOfConfusionScale)
+ *          Y - focus distance
+ *          Z - largest CoC in pixels
+ *          W - number of aperture blades, 0 for a round bokeh
+ *
+ *          dofPrefilter_shader downsamples to half resolution with the
+ *          CoC (in half resolution pixels) in alpha.  dofBokeh_shader
+ *          gathers a disk of samples shaped like the aperture.  Samples
+ *          behind the pixel only spread as far as the smaller CoC of the
+ *          two so sharp edges aren't blurred over, samples in front
+ *          spread by their own and are gathered separately, their
+ *          coverage is the alpha which lets the foreground bleed over
+ *          what is in focus.  dofComposite_shader blends the sharp image
+ *          to the blurred one by the full resolution CoC and coverage.
+ */
+
+const dof_common = `
+    uniform mat4 view;
+    uniform vec4 dofParams;
+    ${gbuffer_read}
+    float circleOfConfusion(vec2 uv)
+    {
+        // Pixels without geometry are at infinity
+        vec4 position = gBufferPosition(uv);
+        float depth = -(view * vec4(position.xyz, 1.0)).z;
+        float coc = position.w == 0.0 ? dofParams.x : dofParams.x * (1.0 - dofParams.y / max(depth, 0.0001));
+        return clamp(coc, -dofParams.z, dofParams.z);
+    }
+    `;
+
+dofPrefilter_shader = {
+
+    vertex: postprocess_vertex,
+
+    fragment: `#version 300 es
+    precision highp float;
+
+    in vec2 UV;
+
+    layout(location = 0) out vec4 out_FragColour;
+
+    uniform sampler2D baseTexture;
+    ${dof_common}
+    void main(void) {
+
+        // Linear filtering averages the 2x2 block, the CoC is the largest in magnitude
+        vec2 texel = 0.5 / vec2(textureSize(baseTexture, 0));
+        float cocA = circleOfConfusion(UV + vec2(-texel.x, -texel.y));
+        float cocB = circleOfConfusion(UV + vec2(texel.x, -texel.y));
+        float cocC = circleOfConfusion(UV + vec2(-texel.x, texel.y));
+        float cocD = circleOfConfusion(UV + vec2(texel.x, texel.y));
+        float cocMin = min(min(cocA, cocB), min(cocC, cocD));
+        float cocMax = max(max(cocA, cocB), max(cocC, cocD));
+        float coc = (-cocMin > cocMax) ? cocMin : cocMax;
+
+        out_FragColour = vec4(texture(baseTexture, UV).rgb, coc * 0.5);
+
+    }
+    `
+}
+
+dofBokeh_shader = {
+
+    vertex: postprocess_vertex,
+
+    fragment: `#version 300 es
+    precision highp float;
+
+    #define M_PI 3.1415926535897932384626433832795
+    #define SAMPLES 48
+    #define GOLDEN_ANGLE 2.39996323
+
+    in vec2 UV;
+
+    layout(location = 0) out vec4 out_FragColour;
+
+    uniform sampler2D baseTexture;
+    uniform vec4 dofParams;
+
+    float apertureShape(float angle)
+    {
+        // Distance to the edge of a regular polygon relative to its circumcircle
+        if (dofParams.w < 3.0) return 1.0;
+        float segment = 2.0 * M_PI / dofParams.w;
+        return cos(segment * 0.5) / cos(mod(angle, segment) - segment * 0.5);
+    }
+
+    void main(void) {
+
+        vec2 texel = 1.0 / vec2(textureSize(baseTexture, 0));
+        vec4 center = texture(baseTexture, UV);
+        float radius = dofParams.z * 0.5;
+
+        // Coverage is normalized by a sample's CoC area so a uniform region sums to one
+        vec4 background = vec4(0.0), foreground = vec4(0.0);
+        for (int i = 0; i < SAMPLES; i++) {
+
+            // Golden angle spiral fills the disk evenly, the aperture shapes its edge
+            float angle = float(i) * GOLDEN_ANGLE;
+            float dist = sqrt((float(i) + 0.5) / float(SAMPLES)) * radius * apertureShape(angle);
+            vec4 tap = texture(baseTexture, UV + vec2(cos(angle), sin(angle)) * dist * texel);
+
+            // Foreground too sharp for the composite to blur doesn't cover what is behind it
+            float behind = max(min(center.a, tap.a), 0.0);
+            float inFront = max(-tap.a, 0.0);
+            float sharpness = smoothstep(0.5, 1.5, inFront);
+            float area = max(inFront * inFront, radius * radius / float(SAMPLES));
+
+            background += vec4(tap.rgb, 1.0) * clamp(behind - dist + 1.0, 0.0, 1.0);
+            foreground += vec4(tap.rgb, 1.0) * clamp(inFront - dist + 1.0, 0.0, 1.0) * sharpness * radius * radius / area;
+
+        }
+
+        vec3 far = background.a > 0.0 ? background.rgb / background.a : center.rgb;
+        vec3 near = foreground.rgb / max(foreground.a, 0.0001);
+        float coverage = clamp(foreground.a / float(SAMPLES), 0.0, 1.0);
+
+        out_FragColour = vec4(mix(far, near, coverage), coverage);
+
+    }
+    `
+}
+
+dofComposite_shader = {
+
+    vertex: postprocess_vertex,
+
+    fragment: `#version 300 es
+    precision highp float;
+
+    in vec2 UV;
+
+    layout(location = 0) out vec4 out_FragColour;
+
+    uniform sampler2D baseTexture;
+    uniform sampler2D dofTexture;
+    ${dof_common}
+    void main(void) {
+
+        // Sharp below a pixel or so of blur, the foreground's coverage blends over it
+        vec4 blurred = texture(dofTexture, UV);
+        float blend = max(smoothstep(1.0, 3.0, abs(circleOfConfusion(UV))), blurred.a);
+
+        out_FragColour = vec4(mix(texture(baseTexture, UV).rgb, blurred.rgb, blend), 1.0);
+
+    }
+    `
+}
\ No newline at end of file
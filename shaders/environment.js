@@ -0,0 +1,239 @@
+﻿/*
+ * File: environment.js
+ * Author: Nathan Hunter
+ * Date: May 9, 2022
+ *
+ * Purpose: Precomputes the image based lighting maps when an
+ *          environment is set (see Renderer.setEnvironment).
+ *          Each shader draws a fullscreen quad into one cube
+ *          face, or the 2D BRDF lookup table.
+ *
+ *          equirect   - equirectangular HDR to a cube map
+ *          irradiance - cosine convolution for diffuse light
+ *          prefilter  - GGX prefiltered cube map, one mip per roughness
+ *          brdf       - split-sum scale (R) and bias (G) of F0
+ */
+
+// Fullscreen quad, NDC is passed on to find the face direction
+const environment_vertex = `#version 300 es
+    precision highp float;
+
+    layout(location = 0) in vec3 aPosition;
+
+    out vec2 NDC;
+
+    void main(void) {
+
+        NDC = aPosition.xy * 2.0;
+        gl_Position = vec4(NDC, 0.0, 1.0);
+    }
+    `;
+
+// Direction of a texel on a cube face, follows the GL cube map face layout
+const environment_common = `
+    #define M_PI  3.1415926535897932384626433832795
+    #define M_2PI 6.283185307179586476925286766559
+
+    uniform int face;
+
+    vec3 cubeDirection(vec2 ndc)
+    {
+        vec3 dir;
+        if (face == 0) dir = vec3(1.0, -ndc.y, -ndc.x);
+        else if (face == 1) dir = vec3(-1.0, -ndc.y, ndc.x);
+        else if (face == 2) dir = vec3(ndc.x, 1.0, ndc.y);
+        else if (face == 3) dir = vec3(ndc.x, -1.0, -ndc.y);
+        else if (face == 4) dir = vec3(ndc.x, -ndc.y, 1.0);
+        else dir = vec3(-ndc.x, -ndc.y, -1.0);
+        return normalize(dir);
+    }
+
+    float radicalInverse(uint bits)
+    {
+        bits = (bits << 16u) | (bits >> 16u);
+        bits = ((bits & 0x55555555u) << 1u) | ((bits & 0xAAAAAAAAu) >> 1u);
+        bits = ((bits & 0x33333333u) << 2u) | ((bits & 0xCCCCCCCCu) >> 2u);
+        bits = ((bits & 0x0F0F0F0Fu) << 4u) | ((bits & 0xF0F0F0F0u) >> 4u);
+        bits = ((bits & 0x00FF00FFu) << 8u) | ((bits & 0xFF00FF00u) >> 8u);
+        return float(bits) * 2.3283064365386963e-10;
+    }
+
+    vec3 importanceGGX(uint i, uint count, vec3 normal, float roughness)
+    {
+        // Hammersley point to a GGX distributed half vector around the normal
+        vec2 xi = vec2(float(i) / float(count), radicalInverse(i));
+        float a = roughness * roughness;
+        float phi = M_2PI * xi.x;
+        float cosTheta = sqrt((1.0 - xi.y) / (1.0 + (a * a - 1.0) * xi.y));
+        float sinTheta = sqrt(1.0 - cosTheta * cosTheta);
+
+        vec3 up = abs(normal.z) < 0.999 ? vec3(0.0, 0.0, 1.0) : vec3(1.0, 0.0, 0.0);
+        vec3 tangent = normalize(cross(up, normal));
+        vec3 bitangent = cross(normal, tangent);
+
+        return normalize(tangent * cos(phi) * sinTheta + bitangent * sin(phi) * sinTheta + normal * cosTheta);
+    }
+    `;
+
+equirect_shader = {
+
+    vertex: environment_vertex,
+
+    fragment: `#version 300 es
+    precision highp float;
+    ${environment_common}
+    in vec2 NDC;
+
+    layout(location = 0) out vec4 out_FragColour;
+
+    uniform sampler2D baseTexture;
+
+    void main(void) {
+
+        // Longitude around Y, latitude from the horizon
+        vec3 dir = cubeDirection(NDC);
+        vec2 uv = vec2(atan(dir.z, dir.x) / M_2PI + 0.5, asin(clamp(dir.y, -1.0, 1.0)) / M_PI + 0.5);
+
+        out_FragColour = vec4(texture(baseTexture, uv).rgb, 1.0);
+
+    }
+    `
+}
+
+irradiance_shader = {
+
+    vertex: environment_vertex,
+
+    fragment: `#version 300 es
+    precision highp float;
+    ${environment_common}
+    in vec2 NDC;
+
+    layout(location = 0) out vec4 out_FragColour;
+
+    uniform samplerCube baseTexture;
+
+    void main(void) {
+
+        vec3 normal = cubeDirection(NDC);
+        vec3 up = abs(normal.y) < 0.999 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0);
+        vec3 right = normalize(cross(up, normal));
+        up = cross(normal, right);
+
+        // Riemann sum over the hemisphere, a blurred mip keeps the steps from aliasing
+        const float delta = 0.05;
+        vec3 irradiance = vec3(0.0);
+        float samples = 0.0;
+        for (float phi = 0.0; phi < M_2PI; phi += delta) {
+            for (float theta = 0.0; theta < 0.5 * M_PI; theta += delta) {
+                vec3 tangent = vec3(sin(theta) * cos(phi), sin(theta) * sin(phi), cos(theta));
+                vec3 dir = tangent.x * right + tangent.y * up + tangent.z * normal;
+                irradiance += textureLod(baseTexture, dir, 4.0).rgb * cos(theta) * sin(theta);
+                samples++;
+            }
+        }
+
+        out_FragColour = vec4(M_PI * irradiance / samples, 1.0);
+
+    }
+    `
+}
+
+prefilter_shader = {
+
+    vertex: environment_vertex,
+
+    fragment: `#version 300 es
+    precision highp float;
+    ${environment_common}
+    in vec2 NDC;
+
+    layout(location = 0) out vec4 out_FragColour;
+
+    uniform samplerCube baseTexture;
+    uniform float roughness;
+    uniform float resolution;
+
+    void main(void) {
+
+        // Assumes the view is along the normal, as is usual for split-sum
+        vec3 normal = cubeDirection(NDC);
+        const uint count = 256u;
+        float a = roughness * roughness;
+        float texelAngle = 4.0 * M_PI / (6.0 * resolution * resolution);
+
+        vec3 color = vec3(0.0);
+        float weight = 0.0;
+        for (uint i = 0u; i < count; i++) {
+
+            vec3 halfNorm = importanceGGX(i, count, normal, roughness);
+            vec3 light = normalize(2.0 * dot(normal, halfNorm) * halfNorm - normal);
+            float NdotL = dot(normal, light);
+            if (NdotL <= 0.0) continue;
+
+            // Sample a mip matching the solid angle the sample covers
+            float NdotH = max(dot(normal, halfNorm), 0.0);
+            float denom = NdotH * NdotH * (a * a - 1.0) + 1.0;
+            float pdf = (a * a) / (M_PI * denom * denom) / 4.0 + 0.0001;
+            float sampleAngle = 1.0 / (float(count) * pdf);
+            float lod = roughness == 0.0 ? 0.0 : 0.5 * log2(sampleAngle / texelAngle);
+
+            color += textureLod(baseTexture, light, lod).rgb * NdotL;
+            weight += NdotL;
+        }
+
+        out_FragColour = vec4(color / weight, 1.0);
+
+    }
+    `
+}
+
+brdf_shader = {
+
+    vertex: environment_vertex,
+
+    fragment: `#version 300 es
+    precision highp float;
+    ${environment_common}
+    in vec2 NDC;
+
+    layout(location = 0) out vec4 out_FragColour;
+
+    float reflection(float num, float roughness)
+    {
+        // Schlick-GGX with the IBL remapping of k
+        float k = (roughness * roughness) / 2.0;
+        return num / (num * (1.0 - k) + k);
+    }
+
+    void main(void) {
+
+        // U - cos of the view angle, V - roughness
+        vec2 uv = NDC * 0.5 + 0.5;
+        float NdotV = max(uv.x, 0.001);
+        float roughness = uv.y;
+        vec3 view = vec3(sqrt(1.0 - NdotV * NdotV), 0.0, NdotV);
+        vec3 normal = vec3(0.0, 0.0, 1.0);
+
+        const uint count = 256u;
+        vec2 scaleBias = vec2(0.0);
+        for (uint i = 0u; i < count; i++) {
+
+            vec3 halfNorm = importanceGGX(i, count, normal, roughness);
+            vec3 light = normalize(2.0 * dot(view, halfNorm) * halfNorm - view);
+            float NdotL = max(light.z, 0.0);
+            float NdotH = max(halfNorm.z, 0.0);
+            float VdotH = max(dot(view, halfNorm), 0.0);
+            if (NdotL <= 0.0) continue;
+
+            float geo = reflection(NdotL, roughness) * reflection(NdotV, roughness);
+            float vis = (geo * VdotH) / (NdotH * NdotV);
+            float fc = pow(1.0 - VdotH, 5.0);
+            scaleBias += vec2((1.0 - fc) * vis, fc * vis);
+        }
+
+        out_FragColour = vec4(scaleBias / float(count), 0.0, 1.0);
+
+    }
+    `
+}
\ No newline at end of file
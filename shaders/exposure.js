@@ -0,0 +1,112 @@
+﻿/*
+ * File: exposure.js
+ * Author: Nathan Hunter
+ * Date: May 9, 2022
+ *
+ * Purpose: Automatic exposure from a histogram of the HDR image's
+ *          log2 luminance.
+ *
+ *          histogram_shader draws one point per cell of a grid over
+ *          the image into the bin of its luminance, blended additively
+ *          into a row of bins (one texel each) so the bins sum to one.
+ *          It needs no attributes, the grid cell is gl_VertexID.
+ *
+ *          exposure_shader averages the bins between the low and high
+ *          percentiles, ignoring the darkest and brightest pixels, and
+ *          eases last frame's luminance towards it.  Written to a 1x1
+ *          target, R is the adapted log2 luminance and G the exposure
+ *          bringing it to middle grey (see 'tonemap.js').
+ *
+ *          histogramParams:
+ *          X - log2 luminance of the first bin
+ *          Y - log2 luminance range of all bins
+ *
+ *          exposureParams:
+ *          X - lowest adapted log2 luminance (EV)
+ *          Y - highest adapted log2 luminance
+ *          Z - fraction of the way moved this frame when the image got brighter
+ *          W - fraction of the way moved this frame when it got darker
+ */
+
+histogram_shader = {
+
+    vertex: `#version 300 es
+    precision highp float;
+
+    #define GRID 64
+
+    uniform sampler2D baseTexture;
+    uniform vec2 histogramParams;
+    uniform float bins;
+
+    void main(void) {
+
+        vec2 uv = (vec2(gl_VertexID % GRID, gl_VertexID / GRID) + 0.5) / float(GRID);
+        vec3 color = textureLod(baseTexture, uv, 0.0).rgb;
+        float luminance = dot(color, vec3(0.2126, 0.7152, 0.0722));
+        float bin = clamp((log2(max(luminance, 0.00001)) - histogramParams.x) / histogramParams.y, 0.0, 1.0);
+
+        // Center of the bin's texel in the row, bin i covering [i, i + 1) / bins of the range
+        gl_Position = vec4((min(floor(bin * bins), bins - 1.0) + 0.5) / bins * 2.0 - 1.0, 0.0, 0.0, 1.0);
+        gl_PointSize = 1.0;
+    }
+    `,
+
+    fragment: `#version 300 es
+    precision highp float;
+
+    #define GRID 64
+
+    layout(location = 0) out vec4 out_FragColour;
+
+    void main(void) {
+
+        out_FragColour = vec4(1.0 / float(GRID * GRID), 0.0, 0.0, 1.0);
+
+    }
+    `
+}
+
+exposure_shader = {
+
+    vertex: postprocess_vertex,
+
+    fragment: `#version 300 es
+    precision highp float;
+
+    #define LOW_PERCENTILE 0.5
+    #define HIGH_PERCENTILE 0.95
+    #define MIDDLE_GREY 0.18
+
+    in vec2 UV;
+
+    layout(location = 0) out vec4 out_FragColour;
+
+    uniform sampler2D histogramTexture;
+    uniform sampler2D exposureTexture;
+    uniform vec2 histogramParams;
+    uniform vec4 exposureParams;
+
+    void main(void) {
+
+        // Mean log2 luminance of the part of each bin between the percentiles
+        int bins = textureSize(histogramTexture, 0).x;
+        float below = 0.0, sum = 0.0, weight = 0.0;
+        for (int i = 0; i < bins; i++) {
+            float count = texelFetch(histogramTexture, ivec2(i, 0), 0).r;
+            float inside = clamp(below + count, LOW_PERCENTILE, HIGH_PERCENTILE) - clamp(below, LOW_PERCENTILE, HIGH_PERCENTILE);
+            sum += (histogramParams.x + (float(i) + 0.5) / float(bins) * histogramParams.y) * inside;
+            weight += inside;
+            below += count;
+        }
+        float target = clamp(weight > 0.0 ? sum / weight : 0.0, exposureParams.x, exposureParams.y);
+
+        // Eased towards, at different speeds brightening and darkening
+        float previous = texelFetch(exposureTexture, ivec2(0), 0).r;
+        float adapted = mix(previous, target, target > previous ? exposureParams.z : exposureParams.w);
+
+        out_FragColour = vec4(adapted, MIDDLE_GREY / exp2(adapted), 0.0, 1.0);
+
+    }
+    `
+}
\ No newline at end of file
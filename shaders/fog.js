@@ -0,0 +1,40 @@
+﻿/*
+ * File: fog.js
+ * Author: Nathan Hunter
+ * Date: May 9, 2022
+ *
+ * Purpose: Exponential height fog shared by the passes drawing
+ *          into the light buffer (see Scene.setFog).  Density
+ *          falls off exponentially above the fog's height and is
+ *          integrated along the view ray past the start distance.
+ *          A zero falloff is plain distance fog, zero density is
+ *          no fog.
+ *
+ *          fogColor is linear like light colors.
+ *          fogParams:
+ *          X - density
+ *          Y - start distance from the camera
+ *          Z - height falloff
+ *          W - height density is measured from
+ */
+
+const fog_common = `
+    uniform vec3 fogColor;
+    uniform vec4 fogParams;
+
+    float fogAmount(vec3 position, vec3 camera)
+    {
+        vec3 ray = position - camera;
+        float dist = length(ray);
+        float fogged = max(dist - fogParams.y, 0.0);
+        if (fogParams.x <= 0.0 || fogged <= 0.0) return 0.0;
+
+        // Density where the fog starts and the integral of its falloff over the rest of the ray
+        float startHeight = camera.y + ray.y * (fogParams.y / dist) - fogParams.w;
+        float climb = fogParams.z * ray.y * (fogged / dist);
+        float density = fogParams.x * exp(-fogParams.z * startHeight);
+        float falloff = abs(climb) > 0.0001 ? (1.0 - exp(-climb)) / climb : 1.0;
+
+        return 1.0 - exp(-density * falloff * fogged);
+    }
+    `;
\ No newline at end of file
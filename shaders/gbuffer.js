@@ -5,11 +5,54 @@
  *
  * Purpose: Uses MRT to compose GBuffer used in deferred rendering.
  * 
- *          It is possible to remove the position buffer and store the
- *          x/y/z in the alpha channel of the normal, tangent, and UV 
- *          buffers.
+ *          Position alpha is coverage, it stays cleared to zero where
+ *          no geometry was drawn for the background pass.
+ *
+ *          Fragments with albedo alpha below alphaCutoff are discarded,
+ *          cutout meshes are drawn without culling so back faces flip
+ *          their normal towards the viewer.
+ *
+ *          Emission is split into a normalized color and a strength,
+ *          the color is packed 8 bits per channel into the normal's
+ *          alpha (exact in a 32 bit float) and the strength goes in
+ *          the material's alpha.
+ *
+ *          With COMPACT_GBUFFER defined there is no position buffer,
+ *          the lighting pass rebuilds it from depth (and depth is the
+ *          coverage).  Targets are:
+ *          0 - albedo (RGBA8)
+ *          1 - octahedral normal (RG16F)
+ *          2 - material (RGBA8)
+ *          3 - emissive color, strength as s / (1 + s) in alpha (RGBA8)
+ *
+ *          Both layouts write screen space velocity to target 4 (RG16F),
+ *          the UV offset from where the fragment was last frame to where
+ *          it is now.  Both positions come from unjittered matrices,
+ *          currentModelViewProjection and the instance's previous one.
+ *
+ *          gbuffer_read is included by screen space passes to read
+ *          world position (W is coverage) and normal from either layout.
+ *          It declares inverseViewProjection for both, the compact layout
+ *          needs it to rebuild position.
  */
 
+// Encodings of the GBuffer's packed values, shared by passes writing into it
+const gbuffer_encode = `
+    float packColor(vec3 color)
+    {
+        vec3 bytes = floor(clamp(color, 0.0, 1.0) * 255.0 + 0.5);
+        return bytes.r * 65536.0 + bytes.g * 256.0 + bytes.b;
+    }
+
+    vec2 octEncode(vec3 n)
+    {
+        // Octahedron projection, the lower half folds over the diagonals
+        n /= abs(n.x) + abs(n.y) + abs(n.z);
+        vec2 signs = vec2(n.x >= 0.0 ? 1.0 : -1.0, n.y >= 0.0 ? 1.0 : -1.0);
+        return (n.z >= 0.0) ? n.xy : (1.0 - abs(n.yx)) * signs;
+    }
+    `;
+
 gbuffer_shader = {
 
     vertex: `#version 300 es
@@ -23,10 +66,14 @@ gbuffer_shader = {
     out vec3 position;
     out vec2 UV;
     out mat3 TBN;
+    out vec4 currentClip;
+    out vec4 previousClip;
 
     uniform mat4 projection;
     uniform mat4 model;
     uniform mat4 modelView;
+    uniform mat4 currentModelViewProjection;
+    uniform mat4 previousModelViewProjection;
 
     void main(void) {
         
@@ -38,6 +85,8 @@ gbuffer_shader = {
         UV = aUV;
         vec4 pos = vec4(aPosition, 1.0);
         position = vec3(model * pos);
+        currentClip = currentModelViewProjection * pos;
+        previousClip = previousModelViewProjection * pos;
 
         gl_Position = projection * modelView * pos;
        
@@ -50,23 +99,93 @@ gbuffer_shader = {
     in vec3 position;
     in vec2 UV;
     in mat3 TBN;
+    in vec4 currentClip;
+    in vec4 previousClip;
 
-    layout(location = 0) out vec3 out_FragPosition;
+    #ifdef COMPACT_GBUFFER
+    layout(location = 0) out vec4 out_FragAlbedo;
+    layout(location = 1) out vec2 out_FragNormal;
+    layout(location = 2) out vec4 out_FragMaterial;
+    layout(location = 3) out vec4 out_FragEmissive;
+    #else
+    layout(location = 0) out vec4 out_FragPosition;
     layout(location = 1) out vec4 out_FragAlbedo;
-    layout(location = 2) out vec3 out_FragNormal;
-    layout(location = 3) out vec3 out_FragMaterial;
+    layout(location = 2) out vec4 out_FragNormal;
+    layout(location = 3) out vec4 out_FragMaterial;
+    #endif
+    layout(location = 4) out vec2 out_FragVelocity;
 
     uniform sampler2D albedoTexture;
     uniform sampler2D normalTexture;
     uniform sampler2D materialTexture;
-
+    uniform sampler2D emissiveTexture;
+    uniform vec4 emissiveColor;
+    uniform float alphaCutoff;
+    ${gbuffer_encode}
     void main(void) {
 
-        out_FragPosition = position;
         out_FragAlbedo = texture(albedoTexture, UV);
-        out_FragNormal = normalize(TBN * (texture(normalTexture, UV).rgb * 2.0 - 1.0));
-        out_FragMaterial = texture(materialTexture, UV).rgb;
+        if (out_FragAlbedo.a < alphaCutoff) discard;
+
+        // Emissive color is premultiplied by strength, alpha flags the texture
+        vec3 emissive = emissiveColor.rgb;
+        if (emissiveColor.a > 0.5) emissive *= texture(emissiveTexture, UV).rgb;
+        float strength = max(max(emissive.r, emissive.g), emissive.b);
+
+        vec3 normal = normalize(TBN * (texture(normalTexture, UV).rgb * 2.0 - 1.0));
+        if (!gl_FrontFacing) normal = -normal;
+        vec3 emissiveNorm = emissive / max(strength, 0.0001);
+
+        #ifdef COMPACT_GBUFFER
+        out_FragNormal = octEncode(normal);
+        out_FragMaterial = vec4(texture(materialTexture, UV).rgb, 1.0);
+        out_FragEmissive = vec4(emissiveNorm, strength / (1.0 + strength));
+        #else
+        out_FragPosition = vec4(position, 1.0);
+        out_FragNormal = vec4(normal, packColor(emissiveNorm));
+        out_FragMaterial = vec4(texture(materialTexture, UV).rgb, strength);
+        #endif
+
+        // No motion where last frame's position was behind the camera
+        vec2 velocity = (currentClip.xy / currentClip.w - previousClip.xy / previousClip.w) * 0.5;
+        out_FragVelocity = previousClip.w > 0.0 ? velocity : vec2(0.0);
 
     }
     `
-}
\ No newline at end of file
+}
+
+const gbuffer_read = `
+    uniform sampler2D normalTexture;
+    uniform mat4 inverseViewProjection;
+
+    #ifdef COMPACT_GBUFFER
+    uniform sampler2D depthTexture;
+
+    vec4 gBufferPosition(vec2 uv)
+    {
+        float depth = texture(depthTexture, uv).r;
+        vec4 world = inverseViewProjection * vec4(vec3(uv, depth) * 2.0 - 1.0, 1.0);
+        return vec4(world.xyz / world.w, depth < 1.0 ? 1.0 : 0.0);
+    }
+
+    vec3 gBufferNormal(vec2 uv)
+    {
+        vec2 e = texture(normalTexture, uv).rg;
+        vec3 n = vec3(e, 1.0 - abs(e.x) - abs(e.y));
+        if (n.z < 0.0) n.xy = (1.0 - abs(n.yx)) * vec2(n.x >= 0.0 ? 1.0 : -1.0, n.y >= 0.0 ? 1.0 : -1.0);
+        return normalize(n);
+    }
+    #else
+    uniform sampler2D positionTexture;
+
+    vec4 gBufferPosition(vec2 uv)
+    {
+        return texture(positionTexture, uv);
+    }
+
+    vec3 gBufferNormal(vec2 uv)
+    {
+        return texture(normalTexture, uv).rgb;
+    }
+    #endif
+    `;
\ No newline at end of file
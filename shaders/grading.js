@@ -0,0 +1,97 @@
+﻿/*
+ * File: grading.js
+ * Author: Nathan Hunter
+ * Date: May 9, 2022
+ *
+ * Purpose: Colour grading, the 'grading' pass after tone mapping
+ *          so it works on the display encoded image a look is made
+ *          for.  In order:
+ *
+ *          temperature, tint - white balance from -100 to 100, a von
+ *                              Kries scale in LMS of the linear color
+ *          lift, gamma, gain - per channel shadows, midtones, and
+ *                              highlights (0, 1, and 1 are neutral)
+ *          saturation        - 0 is grey, 1 unchanged
+ *          lutTexture        - 3D lookup table (see loadCUBE), mixed in
+ *                              by lutStrength.  lutDomainMin and
+ *                              lutDomainMax are the input range it covers
+ */
+
+const grading_fragment = `#version 300 es
+    precision highp float;
+
+    in vec2 UV;
+
+    layout(location = 0) out vec4 out_FragColour;
+
+    uniform sampler2D baseTexture;
+    uniform highp sampler3D lutTexture;
+    uniform float lutStrength;
+    uniform vec3 lutDomainMin;
+    uniform vec3 lutDomainMax;
+    uniform vec3 lift;
+    uniform vec3 gamma;
+    uniform vec3 gain;
+    uniform float saturation;
+    uniform float temperature;
+    uniform float tint;
+
+    // Rows of linear sRGB to LMS and back, vectors are multiplied on the left
+    const mat3 linearToLMS = mat3(
+        3.90405e-1, 5.49941e-1, 8.92632e-3,
+        7.08416e-2, 9.63172e-1, 1.35775e-3,
+        2.31082e-2, 1.28021e-1, 9.36245e-1);
+    const mat3 LMSToLinear = mat3(
+        2.85847e+0, -1.62879e+0, -2.48910e-2,
+        -2.10182e-1, 1.15820e+0, 3.24281e-4,
+        -4.18120e-2, -1.18169e-1, 1.06867e+0);
+
+    vec3 toLinear(vec3 x)
+    {
+        return mix(x / 12.92, pow((x + 0.055) / 1.055, vec3(2.4)), step(0.04045, x));
+    }
+
+    vec3 toSRGB(vec3 x)
+    {
+        x = max(x, vec3(0.0));
+        return mix(x * 12.92, 1.055 * pow(x, vec3(1.0 / 2.4)) - 0.055, step(0.0031308, x));
+    }
+
+    vec3 whiteBalance()
+    {
+        // Scale taking the white point shifted along the daylight locus back to D65
+        float t1 = temperature / 60.0, t2 = tint / 60.0;
+        float x = 0.31271 - t1 * (t1 < 0.0 ? 0.1 : 0.05);
+        float y = 2.87 * x - 3.0 * x * x - 0.27509507 + t2 * 0.05;
+
+        vec3 XYZ = vec3(x / y, 1.0, (1.0 - x - y) / y);
+        vec3 white = vec3(
+            0.7328 * XYZ.x + 0.4296 * XYZ.y - 0.1624 * XYZ.z,
+            -0.7036 * XYZ.x + 1.6975 * XYZ.y + 0.0061 * XYZ.z,
+            0.0030 * XYZ.x + 0.0136 * XYZ.y + 0.9834 * XYZ.z);
+
+        return vec3(0.949237, 1.03542, 1.08728) / white;
+    }
+
+    void main(void) {
+
+        vec3 color = texture(baseTexture, UV).rgb;
+
+        vec3 lms = (toLinear(color) * linearToLMS) * whiteBalance();
+        color = toSRGB(lms * LMSToLinear);
+
+        color = clamp(gain * (color + lift * (1.0 - color)), 0.0, 1.0);
+        color = pow(color, 1.0 / max(gamma, vec3(0.01)));
+
+        float luma = dot(color, vec3(0.2126, 0.7152, 0.0722));
+        color = clamp(mix(vec3(luma), color, saturation), 0.0, 1.0);
+
+        // Texel centers span the domain
+        vec3 size = vec3(textureSize(lutTexture, 0));
+        vec3 coord = clamp((color - lutDomainMin) / (lutDomainMax - lutDomainMin), 0.0, 1.0);
+        vec3 graded = texture(lutTexture, (coord * (size - 1.0) + 0.5) / size).rgb;
+
+        out_FragColour = vec4(mix(color, graded, lutStrength), 1.0);
+
+    }
+    `;
\ No newline at end of file
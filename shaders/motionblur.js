@@ -0,0 +1,118 @@
+﻿/*
+ * File: motionblur.js
+ * Author: Nathan Hunter
+ * Date: May 9, 2022
+ *
+ * Purpose: Per object motion blur, a post processing pass reading
+ *          the GBuffer's velocity (see 'gbuffer.js').  Each pixel
+ *          gathers along the largest motion around it, samples are
+ *          weighted by depth and by whether their own or the pixel's
+ *          motion reaches across the distance between them, so moving
+ *          objects smear over what is behind them but still pixels
+ *          don't smear into moving ones (McGuire et al. 2012).
+ *
+ *          The largest motion is found from a sparse ring of taps
+ *          instead of a tile max pass.
+ *
+ *          motionBlurParams:
+ *          X - shutter, the fraction of a frame's motion blurred
+ *          Y - longest blur in pixels
+ *          Z - number of samples
+ */
+
+const motionBlur_fragment = `#version 300 es
+    precision highp float;
+
+    #define M_PI 3.1415926535897932384626433832795
+
+    in vec2 UV;
+
+    layout(location = 0) out vec4 out_FragColour;
+
+    uniform sampler2D baseTexture;
+    uniform sampler2D velocityTexture;
+    uniform mat4 view;
+    uniform vec3 motionBlurParams;
+    ${gbuffer_read}
+    vec2 velocity(vec2 uv, vec2 size)
+    {
+        // In pixels, scaled by the shutter and limited to the longest blur
+        vec2 v = texture(velocityTexture, uv).rg * size * motionBlurParams.x;
+        float len = length(v);
+        return len > motionBlurParams.y ? v * (motionBlurParams.y / len) : v;
+    }
+
+    float viewDepth(vec2 uv)
+    {
+        vec4 position = gBufferPosition(uv);
+        return position.w == 0.0 ? 1e6 : -(view * vec4(position.xyz, 1.0)).z;
+    }
+
+    float cone(float dist, float len)
+    {
+        return clamp(1.0 - dist / len, 0.0, 1.0);
+    }
+
+    float cylinder(float dist, float len)
+    {
+        return 1.0 - smoothstep(0.95 * len, 1.05 * len, dist);
+    }
+
+    float inFront(float a, float b)
+    {
+        // One when a is nearer than b, fading over a percent of the depth
+        return clamp(1.0 - (a - b) / (0.01 * b), 0.0, 1.0);
+    }
+
+    void main(void) {
+
+        vec2 size = vec2(textureSize(baseTexture, 0));
+        vec3 center = texture(baseTexture, UV).rgb;
+        vec2 centerVelocity = velocity(UV, size);
+
+        // Largest motion within reach of the pixel
+        vec2 maxVelocity = centerVelocity;
+        for (int i = 0; i < 8; i++) {
+            float angle = float(i) * M_PI * 0.25;
+            vec2 v = velocity(UV + vec2(cos(angle), sin(angle)) * motionBlurParams.y * 0.5 / size, size);
+            if (dot(v, v) > dot(maxVelocity, maxVelocity)) maxVelocity = v;
+        }
+
+        if (length(maxVelocity) < 0.5) {
+            out_FragColour = vec4(center, 1.0);
+            return;
+        }
+
+        float centerLength = max(length(centerVelocity), 0.5);
+        float centerDepth = viewDepth(UV);
+
+        // The pixel is weighted by how little it moves
+        float total = 1.0 / centerLength;
+        vec3 color = center * total;
+
+        // Samples either side as the exposure is centered on the frame, noise hides the steps
+        int samples = int(motionBlurParams.z);
+        float noise = fract(52.9829189 * fract(dot(gl_FragCoord.xy, vec2(0.06711056, 0.00583715)))) - 0.5;
+        for (int i = 0; i < samples; i++) {
+
+            float t = (float(i) + 0.5 + noise) / float(samples) - 0.5;
+            vec2 offset = maxVelocity * t;
+            vec2 uv = UV + offset / size;
+            float dist = length(offset);
+            float sampleLength = max(length(velocity(uv, size)), 0.5);
+            float sampleDepth = viewDepth(uv);
+
+            // Sample in front blurring over the pixel, pixel blurring over the sample behind, or both moving
+            float weight = inFront(sampleDepth, centerDepth) * cone(dist, sampleLength) +
+                           inFront(centerDepth, sampleDepth) * cone(dist, centerLength) +
+                           cylinder(dist, sampleLength) * cylinder(dist, centerLength) * 2.0;
+
+            color += texture(baseTexture, uv).rgb * weight;
+            total += weight;
+
+        }
+
+        out_FragColour = vec4(color / total, 1.0);
+
+    }
+    `;
\ No newline at end of file
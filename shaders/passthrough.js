@@ -4,7 +4,8 @@
  * Date: May 7, 2022
  *
  * Purpose: Generic passthrough shader that 
- *          uses a baseTexture if set.
+ *          uses a baseTexture if set.  Output is opaque
+ *          as GBuffer alphas hold data, not transparency.
  */
 
 passthrough_shader = {
@@ -38,7 +39,7 @@ passthrough_shader = {
     uniform sampler2D baseTexture;
 
     void main(void) {
-        out_FragColour = texture(baseTexture, UV);
+        out_FragColour = vec4(texture(baseTexture, UV).rgb, 1.0);
     }
     `
 }
\ No newline at end of file
@@ -0,0 +1,62 @@
+﻿/*
+ * File: postprocess.js
+ * Author: Nathan Hunter
+ * Date: May 9, 2022
+ *
+ * Purpose: Vertex shader shared by post processing passes
+ *          (see PostProcessStack).  A pass is only a fragment
+ *          shader drawing a fullscreen quad with UV, it reads:
+ *
+ *          baseTexture           - output of the previous pass, the
+ *                                  HDR light buffer for the first
+ *          inverseViewProjection - camera's clip space to world
+ *          view                  - camera's world to view space
+ *          cameraProjection      - camera's view to clip space
+ *          cameraPosition        - camera's world position
+ *
+ *          and the GBuffer textures by their usual names, passes
+ *          are compiled for the GBuffer's layout so may include
+ *          gbuffer_read (see 'gbuffer.js').
+ *
+ *          vignette_fragment is an example pass, darkening the
+ *          screen's edges by its strength uniform.
+ */
+
+const postprocess_vertex = `#version 300 es
+    precision highp float;
+
+    layout(location = 0) in vec3 aPosition;
+    layout(location = 1) in vec2 aUV;
+
+    out vec2 UV;
+
+    uniform mat4 projection;
+    uniform mat4 model;
+    uniform mat4 modelView;
+
+    void main(void) {
+
+        UV = aUV;
+        gl_Position = projection * modelView * vec4(aPosition, 1.0);
+    }
+    `;
+
+const vignette_fragment = `#version 300 es
+    precision highp float;
+
+    in vec2 UV;
+
+    layout(location = 0) out vec4 out_FragColour;
+
+    uniform sampler2D baseTexture;
+    uniform float strength;
+
+    void main(void) {
+
+        vec2 offset = UV - 0.5;
+        float vignette = clamp(1.0 - dot(offset, offset) * strength, 0.0, 1.0);
+
+        out_FragColour = vec4(texture(baseTexture, UV).rgb * vignette, 1.0);
+
+    }
+    `;
\ No newline at end of file
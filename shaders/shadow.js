@@ -0,0 +1,72 @@
+﻿/*
+ * File: shadow.js
+ * Author: Nathan Hunter
+ * Date: May 9, 2022
+ *
+ * Purpose: Renders the scene from a light into a layer of the
+ *          shadow map array.  Stores the linear view depth of
+ *          each fragment, i.e., the distance along the direction
+ *          the light is looking.
+ *
+ *          Point lights render six layers, one per cube face, and
+ *          the lighting pass picks the face from the major axis
+ *          of the light-to-fragment vector.
+ *
+ *          Cutout materials discard fragments with albedo alpha
+ *          below alphaCutoff like the GBuffer pass, 0 is off.
+ *
+ *          The STENCIL variant only reads positions and never discards,
+ *          light volume spheres mark the stencil with it.
+ */
+
+shadow_shader = {
+
+    vertex: `#version 300 es
+    precision highp float;
+
+    layout(location = 0) in vec3 aPosition;
+    #ifndef STENCIL
+    layout(location = 3) in vec2 aUV;
+    out vec2 UV;
+    #endif
+
+    out float depth;
+
+    uniform mat4 projection;
+    uniform mat4 model;
+    uniform mat4 modelView;
+
+    void main(void) {
+
+        vec4 viewPos = modelView * vec4(aPosition, 1.0);
+        depth = -viewPos.z;
+        #ifndef STENCIL
+        UV = aUV;
+        #endif
+
+        gl_Position = projection * viewPos;
+    }
+    `,
+
+    fragment: `#version 300 es
+    precision highp float;
+
+    in float depth;
+
+    layout(location = 0) out float out_FragDepth;
+
+    #ifndef STENCIL
+    in vec2 UV;
+
+    uniform sampler2D albedoTexture;
+    uniform float alphaCutoff;
+    #endif
+
+    void main(void) {
+        #ifndef STENCIL
+        if (alphaCutoff > 0.0 && texture(albedoTexture, UV).a < alphaCutoff) discard;
+        #endif
+        out_FragDepth = depth;
+    }
+    `
+}
\ No newline at end of file
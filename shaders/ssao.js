@@ -0,0 +1,132 @@
+﻿/*
+ * File: ssao.js
+ * Author: Nathan Hunter
+ * Date: May 9, 2022
+ *
+ * Purpose: Screen space ambient occlusion from the GBuffer.
+ *          Samples a hemisphere oriented along each fragment's
+ *          normal and counts the samples behind the scene's
+ *          surface.  The kernel is rotated by a 4x4 tiled pattern
+ *          which the blur shader averages back out.
+ *
+ *          ssaoParams:
+ *          X - radius in world units
+ *          Y - intensity
+ *          Z - number of kernel samples used
+ *
+ *          Reads either GBuffer layout through gbuffer_read,
+ *          see 'gbuffer.js'.
+ */
+
+ssao_shader = {
+
+    vertex: `#version 300 es
+    precision highp float;
+
+    layout(location = 0) in vec3 aPosition;
+    layout(location = 1) in vec2 aUV;
+
+    out vec2 UV;
+
+    uniform mat4 projection;
+    uniform mat4 model;
+    uniform mat4 modelView;
+
+    void main(void) {
+
+        UV = aUV;
+        gl_Position = projection * modelView * vec4(aPosition, 1.0);
+    }
+    `,
+
+    fragment: `#version 300 es
+    precision highp float;
+
+    #define M_2PI 6.283185307179586476925286766559
+    #define MAX_SAMPLES 64
+
+    in vec2 UV;
+
+    layout(location = 0) out float out_FragOcclusion;
+
+    uniform mat4 view;
+    uniform mat4 viewProjection;
+    uniform vec3 ssaoKernel[MAX_SAMPLES];
+    uniform vec3 ssaoParams;
+    ${gbuffer_read}
+    void main(void) {
+
+        vec4 position = gBufferPosition(UV);
+        if (position.w == 0.0) {
+            out_FragOcclusion = 1.0;
+            return;
+        }
+
+        float radius = ssaoParams.x;
+        int count = int(ssaoParams.z);
+        vec3 normal = gBufferNormal(UV);
+        float depth = -(view * vec4(position.xyz, 1.0)).z;
+
+        // Tangent frame around the normal, rotated by the pixel's place in a 4x4 tile
+        ivec2 tile = ivec2(gl_FragCoord.xy) % 4;
+        float angle = fract(sin(float(tile.x * 4 + tile.y) * 12.9898) * 43758.5453) * M_2PI;
+        vec3 up = abs(normal.y) < 0.999 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0);
+        vec3 tangent = normalize(cross(up, normal));
+        tangent = tangent * cos(angle) + cross(normal, tangent) * sin(angle);
+        mat3 TBN = mat3(tangent, cross(normal, tangent), normal);
+
+        float occlusion = 0.0;
+        for (int i = 0; i < MAX_SAMPLES; i++) {
+
+            if (i >= count) break;
+
+            // Project the sample and compare against the surface there
+            vec3 samplePos = position.xyz + TBN * ssaoKernel[i] * radius;
+            vec4 clip = viewProjection * vec4(samplePos, 1.0);
+            vec2 uv = clip.xy / clip.w * 0.5 + 0.5;
+            if (any(lessThan(uv, vec2(0.0))) || any(greaterThan(uv, vec2(1.0)))) continue;
+
+            vec4 scene = gBufferPosition(uv);
+            if (scene.w == 0.0) continue;
+
+            // Surfaces far in front of the fragment don't occlude it
+            float sceneDepth = -(view * vec4(scene.xyz, 1.0)).z;
+            float range = smoothstep(0.0, 1.0, radius / abs(depth - sceneDepth));
+            occlusion += (sceneDepth <= clip.w - radius * 0.05 ? 1.0 : 0.0) * range;
+        }
+
+        out_FragOcclusion = clamp(1.0 - occlusion / float(max(count, 1)) * ssaoParams.y, 0.0, 1.0);
+
+    }
+    `
+}
+
+ssaoBlur_shader = {
+
+    vertex: ssao_shader.vertex,
+
+    fragment: `#version 300 es
+    precision highp float;
+
+    in vec2 UV;
+
+    layout(location = 0) out float out_FragOcclusion;
+
+    uniform sampler2D baseTexture;
+
+    void main(void) {
+
+        // 4x4 box matching the rotation tile
+        vec2 texel = 1.0 / vec2(textureSize(baseTexture, 0));
+        float occlusion = 0.0;
+        for (int x = -2; x < 2; x++) {
+            for (int y = -2; y < 2; y++) {
+                occlusion += texture(baseTexture, UV + vec2(x, y) * texel).r;
+            }
+        }
+
+        out_FragOcclusion = occlusion / 16.0;
+
+    }
+    `
+}
\ No newline at end of file
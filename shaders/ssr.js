@@ -0,0 +1,176 @@
+﻿/*
+ * File: ssr.js
+ * Author: Nathan Hunter
+ * Date: May 9, 2022
+ *
+ * Purpose: Screen space reflections.  Marches the reflected
+ *          view ray through view space against the GBuffer's
+ *          depth and fetches the lit color where it hits.
+ *          Reflections fade with roughness, at the screen's
+ *          edges, and towards the end of the ray, falling back
+ *          to the environment's prefiltered map.
+ *
+ *          Outputs the whole specular reflection of the ambient
+ *          light, the lighting pass leaves out the environment's
+ *          specular while SSR is on (environmentParams.w).
+ *
+ *          ssrParams:
+ *          X - max ray distance in world units
+ *          Y - thickness of surfaces in world units
+ *          Z - number of march steps
+ *          W - roughness above which there are no reflections
+ */
+
+ssr_shader = {
+
+    vertex: `#version 300 es
+    precision highp float;
+
+    layout(location = 0) in vec3 aPosition;
+    layout(location = 1) in vec2 aUV;
+
+    out vec2 UV;
+
+    uniform mat4 projection;
+    uniform mat4 model;
+    uniform mat4 modelView;
+
+    void main(void) {
+
+        UV = aUV;
+        gl_Position = projection * modelView * vec4(aPosition, 1.0);
+    }
+    `,
+
+    fragment: `#version 300 es
+    precision highp float;
+
+    #define MAX_STEPS 128
+    #define REFINE_STEPS 6
+
+    const vec3 dielectric = vec3(0.4);
+
+    in vec2 UV;
+
+    layout(location = 0) out vec4 out_FragColour;
+
+    uniform sampler2D albedoTexture;
+    uniform sampler2D materialTexture;
+    uniform sampler2D colorTexture;
+    uniform sampler2D ssaoTexture;
+    uniform samplerCube prefilterMap;
+    uniform sampler2D brdfLUT;
+    uniform vec4 environmentParams;
+    uniform vec3 cameraPosition;
+    uniform mat4 view;
+    uniform mat4 cameraProjection;
+    uniform vec4 ssrParams;
+    ${fog_common}
+    ${gbuffer_read}
+    vec3 project(vec3 viewPos)
+    {
+        vec4 clip = cameraProjection * vec4(viewPos, 1.0);
+        return vec3(clip.xy / clip.w * 0.5 + 0.5, clip.w);
+    }
+
+    float sceneDepth(vec2 uv)
+    {
+        // View space Z of the surface at uv, uncovered pixels are infinitely far
+        vec4 scene = gBufferPosition(uv);
+        return (scene.w == 0.0) ? -1e20 : (view * vec4(scene.xyz, 1.0)).z;
+    }
+
+    void main(void) {
+
+        vec4 position = gBufferPosition(UV);
+        if (position.w == 0.0) {
+            out_FragColour = vec4(0.0);
+            return;
+        }
+
+        vec3 normal = gBufferNormal(UV);
+        vec3 albedo = texture(albedoTexture, UV).rgb;
+        vec3 material = texture(materialTexture, UV).rgb;
+        float metallic = material.r;
+        float roughness = material.g;
+
+        // Split-sum weight of the reflection, same as the lighting pass' environment
+        vec3 viewNorm = normalize(cameraPosition - position.xyz);
+        float NdotV = max(dot(normal, viewNorm), 0.0);
+        vec3 matRef = mix(dielectric, albedo, metallic);
+        vec3 freq = matRef + (max(vec3(1.0 - roughness), matRef) - matRef) * pow(clamp(1.0 - NdotV, 0.0, 1.0), 5.0);
+        vec2 scaleBias = texture(brdfLUT, vec2(NdotV, roughness)).rg;
+        vec3 weight = freq * scaleBias.x + scaleBias.y;
+
+        // Environment fallback, occluded like the ambient
+        vec3 environment = vec3(0.0);
+        if (environmentParams.x > 0.0) {
+            float c = cos(environmentParams.y), s = sin(environmentParams.y);
+            vec3 reflected = mat3(c, 0.0, -s, 0.0, 1.0, 0.0, s, 0.0, c) * reflect(-viewNorm, normal);
+            environment = textureLod(prefilterMap, reflected, roughness * environmentParams.z).rgb * environmentParams.x;
+            environment *= material.b * texture(ssaoTexture, UV).r;
+        }
+
+        // Rough surfaces and rays towards the camera aren't traced
+        vec3 viewPos = (view * vec4(position.xyz, 1.0)).xyz;
+        vec3 rayDir = normalize(reflect(normalize(viewPos), normalize(mat3(view) * normal)));
+        float confidence = (1.0 - smoothstep(ssrParams.w * 0.5, ssrParams.w, roughness)) * (1.0 - smoothstep(0.0, 0.5, rayDir.z));
+
+        vec3 hitColor = vec3(0.0);
+        if (confidence > 0.0) {
+
+            int steps = int(ssrParams.z);
+            float stepLength = ssrParams.x / float(steps);
+            float thickness = ssrParams.y;
+
+            // Jitter the start per pixel to hide banding between steps
+            float jitter = fract(52.9829189 * fract(dot(gl_FragCoord.xy, vec2(0.06711056, 0.00583715))));
+            vec3 ray = viewPos + rayDir * stepLength * jitter;
+            bool hit = false;
+            float travelled = 0.0;
+
+            for (int i = 0; i < MAX_STEPS; i++) {
+
+                if (i >= steps) break;
+                ray += rayDir * stepLength;
+                travelled = float(i + 1) / float(steps);
+
+                vec3 uv = project(ray);
+                if (uv.z <= 0.0 || any(lessThan(uv.xy, vec2(0.0))) || any(greaterThan(uv.xy, vec2(1.0)))) break;
+
+                // Behind a surface, but not so far it passed behind an object
+                float depth = sceneDepth(uv.xy) - ray.z;
+                if (depth > 0.0 && depth < thickness) {
+                    hit = true;
+                    break;
+                }
+            }
+
+            if (hit) {
+
+                // Binary search between the last two steps
+                vec3 lo = ray - rayDir * stepLength, hi = ray;
+                for (int j = 0; j < REFINE_STEPS; j++) {
+                    vec3 mid = (lo + hi) * 0.5;
+                    if (sceneDepth(project(mid).xy) - mid.z > 0.0) hi = mid;
+                    else lo = mid;
+                }
+
+                vec2 uv = project(hi).xy;
+                vec2 edge = smoothstep(vec2(0.0), vec2(0.1), uv) * (1.0 - smoothstep(vec2(0.9), vec2(1.0), uv));
+                confidence *= edge.x * edge.y * (1.0 - travelled * travelled);
+                hitColor = texture(colorTexture, uv).rgb;
+
+            } else {
+                confidence = 0.0;
+            }
+
+        }
+
+        // Added after fog, so faded by it like the rest of the surface's light
+        float fog = fogAmount(position.xyz, cameraPosition);
+        out_FragColour = vec4(mix(environment, hitColor, confidence) * weight * (1.0 - fog), 1.0);
+
+    }
+    `
+}
\ No newline at end of file
@@ -0,0 +1,98 @@
+﻿/*
+ * File: tonemap.js
+ * Author: Nathan Hunter
+ * Date: May 9, 2022
+ *
+ * Purpose: Resolves the linear HDR light buffer to the screen,
+ *          the 'tonemap' pass of the renderer's PostProcessStack.
+ *          Color is scaled by exposure, mapped to the display
+ *          range by a filmic curve, then sRGB encoded.
+ *
+ *          With autoExposure set, exposure is a compensation on top of
+ *          the adapted exposure in exposureTexture's G (see 'exposure.js').
+ *
+ *          toneMapping:
+ *          0 - Reinhard
+ *          1 - ACES filmic (Narkowicz's fit)
+ *          2 - Uncharted2 (Hable)
+ *          3 - AgX
+ */
+
+tonemap_shader = {
+
+    vertex: postprocess_vertex,
+
+    fragment: `#version 300 es
+    precision highp float;
+
+    in vec2 UV;
+
+    layout(location = 0) out vec4 out_FragColour;
+
+    uniform sampler2D baseTexture;
+    uniform int toneMapping;
+    uniform float exposure;
+    uniform int autoExposure;
+    uniform sampler2D exposureTexture;
+
+    vec3 aces(vec3 x)
+    {
+        return clamp((x * (2.51 * x + 0.03)) / (x * (2.43 * x + 0.59) + 0.14), 0.0, 1.0);
+    }
+
+    vec3 uncharted2Curve(vec3 x)
+    {
+        const float A = 0.15, B = 0.50, C = 0.10, D = 0.20, E = 0.02, F = 0.30;
+        return ((x * (A * x + C * B) + D * E) / (x * (A * x + B) + D * F)) - E / F;
+    }
+
+    vec3 uncharted2(vec3 x)
+    {
+        // Exposure bias of 2, white point of 11.2
+        return uncharted2Curve(x * 2.0) / uncharted2Curve(vec3(11.2));
+    }
+
+    vec3 agx(vec3 x)
+    {
+        // Into the AgX log encoding, through its contrast curve and back out to linear
+        const mat3 inset = mat3(
+            0.842479062253094, 0.0423282422610123, 0.0423756549057051,
+            0.0784335999999992, 0.878468636469772, 0.0784336,
+            0.0792237451477643, 0.0791661274605434, 0.879142973793104);
+        const mat3 outset = mat3(
+            1.19687900512017, -0.0528968517574562, -0.0529716355144438,
+            -0.0980208811401368, 1.15190312990417, -0.0980434501171241,
+            -0.0990297440797205, -0.0989611768448433, 1.15107367264116);
+        const float minEv = -12.47393, maxEv = 4.026069;
+
+        x = clamp(log2(max(inset * x, vec3(1e-10))), minEv, maxEv);
+        x = (x - minEv) / (maxEv - minEv);
+
+        vec3 x2 = x * x, x4 = x2 * x2;
+        x = 15.5 * x4 * x2 - 40.14 * x4 * x + 31.96 * x4 - 6.868 * x2 * x + 0.4298 * x2 + 0.1191 * x - 0.00232;
+
+        return pow(max(outset * x, vec3(0.0)), vec3(2.2));
+    }
+
+    vec3 sRGB(vec3 x)
+    {
+        x = clamp(x, 0.0, 1.0);
+        return mix(x * 12.92, 1.055 * pow(x, vec3(1.0 / 2.4)) - 0.055, step(0.0031308, x));
+    }
+
+    void main(void) {
+
+        float scale = exposure;
+        if (autoExposure == 1) scale *= texelFetch(exposureTexture, ivec2(0), 0).g;
+        vec3 color = texture(baseTexture, UV).rgb * scale;
+
+        if (toneMapping == 0) color = color / (color + vec3(1.0));
+        else if (toneMapping == 1) color = aces(color);
+        else if (toneMapping == 2) color = uncharted2(color);
+        else color = agx(color);
+
+        out_FragColour = vec4(sRGB(color), 1.0);
+
+    }
+    `
+}
\ No newline at end of file
@@ -8,29 +8,140 @@
  *          
  *          Displays the GBuffer contents (toggle) to show
  *          scene composition.  GBuffer is composed of
- *          albedo, normal, material, and position fragment data.
+ *          albedo, normal, material, and position fragment data,
+ *          and screen space velocity from each MeshInstance's last
+ *          transform for motion blur and TAA.
+ *          The compact layout (constructor option) instead rebuilds
+ *          position from a depth texture, stores octahedral normals
+ *          in RG16F, and albedo, material, and emission in RGBA8.
  *          
  *          Final render binds the GBuffer for reading and 
  *          uses lighting information while the shader program in 
  *          'deferred.js' is used for the final render
  *          
+ *          Decals are boxes in the scene projecting a material's textures
+ *          onto the GBuffer surfaces inside them, see renderDecals().
+ *          
  *          Uses PBR-Metallic workflow.  Material texture combines
  *          metallic, roughness, and AO into the RGB channels.
+ *          Materials can also emit light, from a color and strength
+ *          and an optional emissive texture.  Transparent materials
+ *          skip the GBuffer and are lit in a sorted forward pass.
+ *
+ *          Lights flagged with castShadow render a cube shadow map
+ *          (six layers of the shadow map array) before the GBuffer pass.
+ *          Spot lights can also project a cookie texture, cookies are
+ *          layers of a texture array created through createCookie().
+ *
+ *          Point and spot lights use clustered shading, LightClusters
+ *          bins them into screen tiles and depth slices each frame so
+ *          a fragment only shades the lights that can reach it.
+ *
+ *          Ambient light is flat unless an HDR environment is set with
+ *          setEnvironment(), which bakes irradiance and prefiltered
+ *          specular cube maps for image based lighting.
+ *
+ *          SSAO runs between the GBuffer and lighting passes and darkens
+ *          the ambient light, see renderSSAO().
+ *
+ *          Pixels without geometry are filled by the scene's background,
+ *          a color, gradient, cube map, or equirectangular image.  The
+ *          scene's fog covers both with distance and height.
+ *
+ *          Lighting accumulates in an HDR light buffer, reflections,
+ *          volumetric light scattering, and bloom are added onto it,
+ *          then the passes of the PostProcessStack run in order, the
+ *          last enabled one drawing to the screen.  By default these are
+ *          motion blur, tone mapping, then grading with an optional .cube
+ *          lookup table (see loadLUT()).  Anti-aliasing is either
+ *          FXAA, a pass after tone mapping, or TAA which accumulates
+ *          jittered frames before post processing.  Depth of field from
+ *          the camera's lens blurs the result before post processing too.
+ *
+ *          Every pass draws into a RenderTarget, which checks it is
+ *          complete.  Those made by addRenderTarget() resize with the window.
  */
 
 const { mat4, mat3, vec2, vec3, vec4, quat } = glMatrix;
 const M_RAD = (Math.PI / 180.0);
 const repeat = (a, n) => Array(n).fill(a).flat(1);
 const clamp = (val, min, max) => Math.min(Math.max(val, min), max);
+const halton = (index, base) => {
+    let f = 1, r = 0;
+    for (let i = index; i > 0; i = Math.floor(i / base)) r += (f /= base) * (i % base);
+    return r;
+};
+
+// Formats of RenderTarget attachment textures as GL constant names: internal format, format, type
+const BUFFER_FORMATS = {
+    RGBA32F: ['RGBA32F', 'RGBA', 'FLOAT'],
+    RGBA16F: ['RGBA16F', 'RGBA', 'HALF_FLOAT'],
+    RGBA8: ['RGBA8', 'RGBA', 'UNSIGNED_BYTE'],
+    RG16F: ['RG16F', 'RG', 'HALF_FLOAT'],
+    R8: ['R8', 'RED', 'UNSIGNED_BYTE'],
+    DEPTH24: ['DEPTH_COMPONENT24', 'DEPTH_COMPONENT', 'UNSIGNED_INT'],
+    DEPTH_STENCIL: ['DEPTH24_STENCIL8', 'DEPTH_STENCIL', 'UNSIGNED_INT_24_8'],
+};
+
+// Attachment points of the depth formats, every other format is a color attachment
+const DEPTH_ATTACHMENTS = {
+    DEPTH24: 'DEPTH_ATTACHMENT',
+    DEPTH_STENCIL: 'DEPTH_STENCIL_ATTACHMENT',
+};
+
+// GLShader setters by GL uniform type name, post processing passes set uniforms by type
+const UNIFORM_SETTERS = {
+    INT: 'setUniformInt',
+    BOOL: 'setUniformInt',
+    FLOAT: 'setUniformFloat',
+    FLOAT_VEC2: 'setUniformFloat2',
+    FLOAT_VEC3: 'setUniformFloat3',
+    FLOAT_VEC4: 'setUniformFloat4',
+    FLOAT_MAT4: 'setUniformMatrix4',
+};
+
+// Size of a shadow map layer, the highest resolution a light's shadow can have
+const SHADOW_MAP_SIZE = 512;
+
+// Sub-pixel camera jitter positions cycled by TAA
+const TAA_SAMPLES = 8;
+
+// Tone mapping curves by index, must match 'tonemap.js'
+const TONE_MAPPINGS = ['reinhard', 'aces', 'uncharted2', 'agx'];
+
+// Bins of the auto exposure histogram and the log2 luminance they span, first and range.
+// Points sampled into it, must match the GRID squared of 'exposure.js'
+const HISTOGRAM_BINS = 64;
+const HISTOGRAM_RANGE = [-10, 20];
+const HISTOGRAM_POINTS = 64 * 64;
+
+// RGBA texels per light in the clustered light data, see 'deferred.js'
+const LIGHT_TEXELS = 9;
+
+// Directional lights the lighting shaders' array holds, three vec3s each after
+// its header, must match 'deferred.js'
+const MAX_DIRECTIONAL_LIGHTS = 5;
+
+// Cube face view directions and up vectors, must match 'deferred.js'
+const CUBE_FACES = [
+    { dir: [1, 0, 0], up: [0, 1, 0] },
+    { dir: [-1, 0, 0], up: [0, 1, 0] },
+    { dir: [0, 1, 0], up: [0, 0, 1] },
+    { dir: [0, -1, 0], up: [0, 0, -1] },
+    { dir: [0, 0, 1], up: [0, 1, 0] },
+    { dir: [0, 0, -1], up: [0, 1, 0] },
+];
 
 let canvas = null;
 let GL = null;
 
 class Renderer {
 
-    constructor() {
+    constructor(compactGBuffer = false) {
 
         this.init = false;
+        this.compactGBuffer = compactGBuffer;
+        this.frame = 0;
 
         // Setup WebGL
         canvas = document.createElement('canvas');
@@ -41,6 +152,9 @@ class Renderer {
             GL = canvas.getContext('webgl2');
             console.log(GL.getParameter(GL.SHADING_LANGUAGE_VERSION))
             GL.getExtension('EXT_color_buffer_float');
+
+            // Blending into 32 bit float targets, without it those draws fail
+            this.floatBlend = GL.getExtension('EXT_float_blend') != null;
             this.onWindowResize();
             GL.pixelStorei(GL.UNPACK_FLIP_Y_WEBGL, true);
 
@@ -51,21 +165,106 @@ class Renderer {
         // Inits
         this.attributes = {
             drawGbuffer: true,
+            lightVolumes: false,
+            ssao: true,
+            ssaoRadius: 8.0,
+            ssaoIntensity: 1.0,
+            ssaoSamples: 16,
+            ssr: true,
+            ssrMaxDistance: 150.0,
+            ssrThickness: 4.0,
+            ssrSteps: 48,
+            ssrMaxRoughness: 0.6,
+            bloom: true,
+            bloomThreshold: 1.0,
+            bloomIntensity: 0.2,
+            bloomRadius: 1.0,
+            motionBlurShutter: 0.5,
+            motionBlurMaxLength: 32.0,
+            motionBlurSamples: 12,
+            volumetric: true,
+            volumetricDensity: 0.002,
+            volumetricAnisotropy: 0.6,
+            volumetricSteps: 24,
+            volumetricDistance: 600.0,
+            depthOfField: false,
+            dofMaxBlur: 32.0,
+            antiAliasing: 'fxaa',
+            taaBlend: 0.1,
+            toneMapping: 'aces',
+            exposure: 1.0,
+            autoExposure: false,
+            exposureMinEv: -4.0,
+            exposureMaxEv: 4.0,
+            exposureSpeedUp: 3.0,
+            exposureSpeedDown: 1.0,
             lightAmbience: 0.5,
             lightIntensity: 0.8,
 
         };
         this.textures = {};
         this.materials = {};
+        this.renderTargets = {};
         this.scene = new Scene();
         this.init_shaders();
         this.init_gBuffer();
+        this.init_decals();
+        this.init_lightBuffer();
+        this.init_ssao();
+        this.init_ssr();
+        this.init_bloom();
+        this.init_volumetric();
+        this.init_taa();
+        this.init_dof();
+        this.init_exposure();
+        this.init_shadows();
+        this.init_cookies();
+        this.init_environment();
         this.init_Cameras();
+        this.clusters = new LightClusters(16, 9, 24);
+
+        // Post processing, motion blur is in HDR and tone mapping resolves it to the screen
+        this.postProcess = new PostProcessStack(this);
+        this.postProcess.add('motionBlur', motionBlur_fragment, {
+            velocityTexture: this.gBuffer.velocity,
+            motionBlurParams: () => [this.attributes.motionBlurShutter, this.attributes.motionBlurMaxLength,
+                clamp(Math.round(this.attributes.motionBlurSamples), 1, 64)],
+        });
+        this.postProcess.add('tonemap', tonemap_shader.fragment, {
+            toneMapping: () => Math.max(TONE_MAPPINGS.indexOf(this.attributes.toneMapping), 0),
+            exposure: () => this.attributes.exposure,
+            autoExposure: () => this.attributes.autoExposure && this.floatBlend ? 1 : 0,
+            exposureTexture: () => this.exposure.adapted[this.exposure.current].texture,
+        });
+
+        // Grading of the tone mapped image, the lookup table is identity until loadLUT
+        const identity = new Texture('lut', 2, 2, 2);
+        identity.setData(new Float32Array([0, 1].flatMap(b => [0, 1].flatMap(g => [0, 1].flatMap(r => [r, g, b, 1])))));
+        this.textures['lut_identity'] = identity;
+        this.postProcess.add('grading', grading_fragment, {
+            lutTexture: identity,
+            lutStrength: 1.0,
+            lutDomainMin: [0, 0, 0],
+            lutDomainMax: [1, 1, 1],
+            lift: [0, 0, 0],
+            gamma: [1, 1, 1],
+            gain: [1, 1, 1],
+            saturation: 1.0,
+            temperature: 0.0,
+            tint: 0.0,
+        });
+
+        // FXAA is on the tone mapped image, enabled by the anti-aliasing attribute
+        this.postProcess.add('fxaa', fxaa_fragment);
 
         // Quads for drawing final render and GBuffer attachments
         var quad = new Quad();
-        this.bufferQuad = new MeshInstance(quad, this.shaders.passthrough, this.materials.gBuffer);
+        this.bufferQuad = new MeshInstance(quad, this.shaders.passthrough, new Material());
         this.defferedQuad = new MeshInstance(quad, this.shaders.deferred, this.materials.gBuffer);
+        this.backgroundQuad = new MeshInstance(quad, this.shaders.background, new Material());
+
+        // Bounding sphere for point light volumes
+        this.lightVolume = new MeshInstance(new Sphere(), this.shaders.lightVolume, this.materials.gBuffer);
 
         // Handle resizing of window
         window.addEventListener('resize', () => {
@@ -79,66 +278,450 @@ class Renderer {
 
     init_shaders() {
 
+        // Shaders reading or writing the GBuffer are compiled for its layout
+        const layout = this.compactGBuffer ? ['COMPACT_GBUFFER'] : [];
+
         this.shaders = {
             default: new GLShader(default_shader.vertex, default_shader.fragment),
             passthrough: new GLShader(passthrough_shader.vertex, passthrough_shader.fragment),
-            gBuffer: new GLShader(gbuffer_shader.vertex, gbuffer_shader.fragment),
-            deferred: new GLShader(deferred_shader.vertex, deferred_shader.fragment),
+            gBuffer: new GLShader(gbuffer_shader.vertex, gbuffer_shader.fragment, layout),
+            deferred: new GLShader(deferred_shader.vertex, deferred_shader.fragment, layout),
+            lightVolume: new GLShader(deferred_shader.vertex, deferred_shader.fragment, layout.concat('LIGHT_VOLUME')),
+            forward: new GLShader(gbuffer_shader.vertex, deferred_shader.fragment, ['FORWARD']),
+            volumetric: new GLShader(deferred_shader.vertex, deferred_shader.fragment, layout.concat('VOLUMETRIC')),
+            decal: new GLShader(decal_shader.vertex, decal_shader.fragment, layout),
+            shadow: new GLShader(shadow_shader.vertex, shadow_shader.fragment),
+            stencil: new GLShader(shadow_shader.vertex, shadow_shader.fragment, ['STENCIL']),
+            equirect: new GLShader(equirect_shader.vertex, equirect_shader.fragment),
+            irradiance: new GLShader(irradiance_shader.vertex, irradiance_shader.fragment),
+            prefilter: new GLShader(prefilter_shader.vertex, prefilter_shader.fragment),
+            brdf: new GLShader(brdf_shader.vertex, brdf_shader.fragment),
+            background: new GLShader(background_shader.vertex, background_shader.fragment, layout),
+            ssao: new GLShader(ssao_shader.vertex, ssao_shader.fragment, layout),
+            ssaoBlur: new GLShader(ssaoBlur_shader.vertex, ssaoBlur_shader.fragment),
+            ssr: new GLShader(ssr_shader.vertex, ssr_shader.fragment, layout),
+            bloomPrefilter: new GLShader(bloomDownsample_shader.vertex, bloomDownsample_shader.fragment, ['PREFILTER']),
+            bloomDownsample: new GLShader(bloomDownsample_shader.vertex, bloomDownsample_shader.fragment),
+            bloomUpsample: new GLShader(bloomUpsample_shader.vertex, bloomUpsample_shader.fragment),
+            taa: new GLShader(taa_shader.vertex, taa_shader.fragment, layout),
+            dofPrefilter: new GLShader(dofPrefilter_shader.vertex, dofPrefilter_shader.fragment, layout),
+            dofBokeh: new GLShader(dofBokeh_shader.vertex, dofBokeh_shader.fragment),
+            dofComposite: new GLShader(dofComposite_shader.vertex, dofComposite_shader.fragment, layout),
+            histogram: new GLShader(histogram_shader.vertex, histogram_shader.fragment),
+            exposure: new GLShader(exposure_shader.vertex, exposure_shader.fragment),
+        }
+
+        for (const name of ['view', 'viewProjection', 'inverseViewProjection', 'ssaoKernel', 'ssaoParams']) this.shaders.ssao.addUniform(name);
+        for (const name of ['colorTexture', 'ssaoTexture', 'prefilterMap', 'brdfLUT', 'environmentParams',
+            'view', 'cameraProjection', 'inverseViewProjection', 'ssrParams']) this.shaders.ssr.addUniform(name);
+
+        for (const name of ['cubeTexture', 'inverseViewProjection', 'backgroundType', 'backgroundColors', 'backgroundParams']) this.shaders.background.addUniform(name);
+
+        // Passes drawing into the light buffer are fogged
+        for (const shd of [this.shaders.deferred, this.shaders.lightVolume, this.shaders.forward, this.shaders.background, this.shaders.ssr]) {
+            shd.addUniform('fogColor');
+            shd.addUniform('fogParams');
         }
+        this.shaders.bloomPrefilter.addUniform('bloomThreshold');
+        this.shaders.bloomUpsample.addUniform('bloomParams');
+        for (const name of ['currentModelViewProjection', 'previousModelViewProjection']) this.shaders.gBuffer.addUniform(name);
+        for (const name of ['historyTexture', 'velocityTexture', 'previousViewProjection', 'inverseViewProjection', 'taaParams']) this.shaders.taa.addUniform(name);
+        for (const shd of [this.shaders.dofPrefilter, this.shaders.dofComposite]) {
+            shd.addUniform('view');
+            shd.addUniform('inverseViewProjection');
+        }
+        for (const shd of [this.shaders.dofPrefilter, this.shaders.dofBokeh, this.shaders.dofComposite]) shd.addUniform('dofParams');
+        this.shaders.dofComposite.addUniform('dofTexture');
+        for (const name of ['histogramParams', 'bins']) this.shaders.histogram.addUniform(name);
+        for (const name of ['histogramTexture', 'exposureTexture', 'histogramParams', 'exposureParams']) this.shaders.exposure.addUniform(name);
+
+        // Environment bakes draw one cube face at a time
+        for (const shd of [this.shaders.equirect, this.shaders.irradiance, this.shaders.prefilter, this.shaders.brdf]) shd.addUniform('face');
+        this.shaders.prefilter.addUniform('roughness');
+        this.shaders.prefilter.addUniform('resolution');
+
+        // Lighting variants share the same uniforms
+        for (const shd of [this.shaders.deferred, this.shaders.lightVolume, this.shaders.forward, this.shaders.volumetric]) this.init_lightUniforms(shd);
+        this.shaders.forward.addUniform('screenSize');
+        this.shaders.volumetric.addUniform('volumetricParams');
+        this.shaders.volumetric.addUniform('volumetricJitter');
+        for (const name of ['decalMatrix', 'decalFade', 'inverseViewProjection']) this.shaders.decal.addUniform(name);
+
+    }
+
+    init_lightUniforms(shd) {
+
+        shd.addUniform('lightParams');
+        shd.addUniform('directionalLights');
+        shd.addUniform('cookieMaps');
+        shd.addUniform('lightData');
+        shd.addUniform('clusterData');
+        shd.addUniform('lightIndices');
+        shd.addUniform('clusterGrid');
+        shd.addUniform('clusterDepth');
+        shd.addUniform('view');
+        shd.addUniform('cascadeMatrices');
+        shd.addUniform('cascadeBias');
+        shd.addUniform('shadowMaps');
+        shd.addUniform('lightIndex');
+        shd.addUniform('irradianceMap');
+        shd.addUniform('prefilterMap');
+        shd.addUniform('brdfLUT');
+        shd.addUniform('environmentParams');
+        shd.addUniform('inverseViewProjection');
+        shd.addUniform('ssaoTexture');
+
+    }
+
+    addRenderTarget(name, attachments, options = {}) {
 
-        this.shaders.deferred.addUniform('lights');
+        // Targets sized by a scale of the canvas follow it in onWindowResize,
+        // a single color target's texture is kept in textures by the same name
+        const target = new RenderTarget(attachments, options);
+        this.renderTargets[name] = target;
+        if (target.colors.length == 1) this.textures[name] = target.texture;
+        return target;
 
     }
 
     init_gBuffer() {
 
-        // Texture buffers
-        var w = window.innerWidth, h = window.innerHeight;
-        var tex = this.textures;
-        tex['gbuff_position'] = new Texture('buffer', w, h);
-        tex['gbuff_albedo'] = new Texture('buffer', w, h);
-        tex['gbuff_normal'] = new Texture('buffer', w, h);
-        tex['gbuff_material'] = new Texture('buffer', w, h);
-
-        // Uses a material just to group the buffers if needed later
-        var gMat = new Material(tex.gbuff_albedo, tex.gbuff_normal, tex.gbuff_material);
-        gMat.addTexture(tex.gbuff_position, 'base');
-        gMat.addTexture(tex.gbuff_position, 'position');
-        this.materials['gBuffer'] = gMat;
+        // Velocity in either layout, last so it stays out of the material as passes bind past its units.
+        // Depth and stencil, used by light volumes, are shared with the light buffer in the full layout
+        var tex = this.textures, gMat, target;
+
+        if (this.compactGBuffer) {
+
+            // 20 bytes per pixel, position comes from the depth texture
+            target = this.addRenderTarget('gBuffer', ['RGBA8', 'RG16F', 'RGBA8', 'RGBA8', 'RG16F', 'DEPTH_STENCIL']);
+            [tex.gbuff_albedo, tex.gbuff_normal, tex.gbuff_material, tex.gbuff_emissive, tex.gbuff_velocity] = target.colors;
+            tex['gbuff_depth'] = target.depth;
+
+            gMat = new Material(tex.gbuff_albedo, tex.gbuff_normal, tex.gbuff_material);
+            gMat.addTexture(tex.gbuff_emissive, 'emissive');
+            gMat.addTexture(tex.gbuff_depth, 'depth');
 
-        // Depth
-        var _depth = GL.createRenderbuffer();
-        GL.bindRenderbuffer(GL.RENDERBUFFER, _depth);
-        GL.renderbufferStorage(GL.RENDERBUFFER, GL.DEPTH_COMPONENT24, window.innerWidth, window.innerHeight);
-        GL.bindRenderbuffer(GL.RENDERBUFFER, null);
-
-        // Framebuffer
-        var tex = gMat.textures;
-        var _FBO = GL.createFramebuffer();
-        GL.bindFramebuffer(GL.FRAMEBUFFER, _FBO);
-        GL.framebufferRenderbuffer(GL.FRAMEBUFFER, GL.DEPTH_ATTACHMENT, GL.RENDERBUFFER, _depth);
-        GL.framebufferTexture2D(GL.DRAW_FRAMEBUFFER, GL.COLOR_ATTACHMENT0, GL.TEXTURE_2D, tex.base.index, 0);
-        GL.framebufferTexture2D(GL.DRAW_FRAMEBUFFER, GL.COLOR_ATTACHMENT1, GL.TEXTURE_2D, tex.albedo.index, 0);
-        GL.framebufferTexture2D(GL.DRAW_FRAMEBUFFER, GL.COLOR_ATTACHMENT2, GL.TEXTURE_2D, tex.normal.index, 0);
-        GL.framebufferTexture2D(GL.DRAW_FRAMEBUFFER, GL.COLOR_ATTACHMENT3, GL.TEXTURE_2D, tex.material.index, 0);
+        } else {
+
+            target = this.addRenderTarget('gBuffer', ['RGBA32F', 'RGBA32F', 'RGBA32F', 'RGBA32F', 'RG16F', 'DEPTH_STENCIL']);
+            [tex.gbuff_position, tex.gbuff_albedo, tex.gbuff_normal, tex.gbuff_material, tex.gbuff_velocity] = target.colors;
+            tex['gbuff_depth'] = target.depth;
+
+            // Uses a material just to group the buffers if needed later
+            gMat = new Material(tex.gbuff_albedo, tex.gbuff_normal, tex.gbuff_material);
+            gMat.addTexture(tex.gbuff_position, 'base');
+            gMat.addTexture(tex.gbuff_position, 'position');
+
+        }
+        this.materials['gBuffer'] = gMat;
 
         this.gBuffer = {
 
-            FBO: _FBO,
+            target: target,
             material: gMat,
-            depth: _depth,
-            buffers: [GL.COLOR_ATTACHMENT0, GL.COLOR_ATTACHMENT1, GL.COLOR_ATTACHMENT2, GL.COLOR_ATTACHMENT3],
+            depth: target.depth,
+            velocity: tex.gbuff_velocity,
 
             bind: function () {
 
-                GL.bindFramebuffer(GL.FRAMEBUFFER, this.FBO);
-                GL.drawBuffers(this.buffers);
+                this.target.bind();
 
             }
 
         }
 
-        GL.bindFramebuffer(GL.FRAMEBUFFER, null);
+    }
+
+    init_decals() {
+
+        // Decals blend into the GBuffer's albedo, normal, and material while reading
+        // its position or depth, so draw through their own FBO without those attached.
+        // The full layout's buffers are 32 bit floats, so blending them needs EXT_float_blend
+        var tex = this.gBuffer.material.textures;
+        if (!this.compactGBuffer && !this.floatBlend) console.log("EXT_float_blend unavailable, decals need the compact GBuffer");
+
+        this.decals = {
+
+            target: this.addRenderTarget('decals', [tex.albedo, tex.normal, tex.material]),
+            volume: new MeshInstance(new Box(), this.shaders.decal, null),
+
+            bind: function () {
+
+                this.target.bind();
+
+            }
+
+        }
+
+    }
+
+    init_lightBuffer() {
+
+        // Linear HDR target all lighting accumulates into before tone mapping. Shares
+        // the GBuffer's depth/stencil so volumes can be tested against the scene.  The
+        // compact layout samples its depth while lighting, so gets a copy of it instead
+        var copyDepth = this.compactGBuffer;
+        var target = this.addRenderTarget('light_buffer', ['RGBA16F', copyDepth ? 'DEPTH_STENCIL' : this.gBuffer.depth],
+            { filter: GL.LINEAR });
+
+        var lMat = new Material();
+        lMat.addTexture(target.texture, 'base');
+        this.materials['lightBuffer'] = lMat;
+
+        this.lightBuffer = {
+
+            target: target,
+            texture: target.texture,
+            material: lMat,
+            copyDepth: copyDepth,
+            gBuffer: this.gBuffer,
+
+            bind: function () {
+
+                // Bring over the scene's depth if it isn't shared
+                if (this.copyDepth) {
+                    const w = this.target.width, h = this.target.height;
+                    GL.bindFramebuffer(GL.READ_FRAMEBUFFER, this.gBuffer.target.FBO);
+                    GL.bindFramebuffer(GL.DRAW_FRAMEBUFFER, this.target.FBO);
+                    GL.blitFramebuffer(0, 0, w, h, 0, 0, w, h, GL.DEPTH_BUFFER_BIT, GL.NEAREST);
+                    GL.bindFramebuffer(GL.READ_FRAMEBUFFER, null);
+                }
+
+                this.target.bind();
+
+            }
+
+        }
+
+    }
+
+    init_ssao() {
+
+        // Raw occlusion and the blurred result the lighting pass reads
+        const targets = ['ssao_raw', 'ssao'].map(name => this.addRenderTarget(name, ['R8']));
+
+        var blurMat = new Material();
+        blurMat.addTexture(targets[0].texture, 'base');
+
+        this.ssao = {
+
+            targets: targets,
+            raw: targets[0].texture,
+            texture: targets[1].texture,
+            kernel: null,
+            quad: new MeshInstance(new Quad(), this.shaders.ssao, this.gBuffer.material),
+            blurQuad: new MeshInstance(new Quad(), this.shaders.ssaoBlur, blurMat),
+
+            bind: function (pass) {
+
+                this.targets[pass].bind();
+
+            }
+
+        }
+
+    }
+
+    init_ssr() {
+
+        // Reflections are traced into their own target, then added onto the light buffer
+        var target = this.addRenderTarget('ssr', ['RGBA16F']);
+
+        var compositeMat = new Material();
+        compositeMat.addTexture(target.texture, 'base');
+
+        this.ssr = {
+
+            target: target,
+            texture: target.texture,
+            quad: new MeshInstance(new Quad(), this.shaders.ssr, this.gBuffer.material),
+            compositeQuad: new MeshInstance(new Quad(), this.shaders.passthrough, compositeMat),
+
+            bind: function () {
+
+                this.target.bind();
+
+            }
+
+        }
+
+    }
+
+    init_bloom(levels = 6) {
+
+        // Mip chain from half the screen size down, each level its own target
+        var mips = [];
+        for (let i = 0; i < levels; i++) {
+            mips.push(this.addRenderTarget('bloom_' + i, ['RGBA16F'], { scale: 1 / (2 << i), filter: GL.LINEAR }));
+        }
+
+        this.bloom = {
+
+            mips: mips,
+            quad: new MeshInstance(new Quad(), this.shaders.bloomDownsample, new Material()),
+
+            bind: function (level) {
+
+                this.mips[level].bind();
+
+            }
+
+        }
+
+    }
+
+    init_volumetric() {
+
+        // Scattering is marched at half resolution, then added onto the light buffer
+        var target = this.addRenderTarget('volumetric', ['RGBA16F'], { scale: 0.5, filter: GL.LINEAR });
+
+        var compositeMat = new Material();
+        compositeMat.addTexture(target.texture, 'base');
+
+        this.volumetric = {
+
+            target: target,
+            texture: target.texture,
+            quad: new MeshInstance(new Quad(), this.shaders.volumetric, this.gBuffer.material),
+            compositeQuad: new MeshInstance(new Quad(), this.shaders.passthrough, compositeMat),
+
+            bind: function () {
+
+                this.target.bind();
+
+            }
+
+        }
+
+    }
+
+    init_taa() {
+
+        // History of accumulated frames, written and read alternately
+        const history = [0, 1].map(i => this.addRenderTarget('taa_' + i, ['RGBA16F'], { filter: GL.LINEAR }));
+
+        this.taa = {
+
+            history: history,
+            current: 0,
+            frame: 0,
+            valid: false,
+            previousViewProjection: mat4.create(),
+            quad: new MeshInstance(new Quad(), this.shaders.taa, this.gBuffer.material),
+
+        }
+
+    }
+
+    init_dof() {
+
+        // Prefilter and bokeh at half resolution, composited with the sharp image at full
+        const target = (name, scale) => this.addRenderTarget('dof_' + name, ['RGBA16F'], { scale: scale, filter: GL.LINEAR });
+
+        this.dof = {
+
+            prefilter: target('prefilter', 0.5),
+            bokeh: target('bokeh', 0.5),
+            output: target('output', 1),
+            quad: new MeshInstance(new Quad(), this.shaders.dofPrefilter, this.gBuffer.material),
+
+        }
+
+    }
+
+    init_exposure() {
+
+        // Histogram bins in a row, and the adapted exposure read and written alternately.
+        // Bins are counted by blending into 32 bit floats, without EXT_float_blend it stays off
+        if (!this.floatBlend) console.log("EXT_float_blend unavailable, auto exposure is disabled");
+        const target = (name, width) => this.addRenderTarget('exposure_' + name, ['RGBA32F'], { width: width, height: 1 });
+
+        this.exposure = {
+
+            histogram: target('histogram', HISTOGRAM_BINS),
+            adapted: [target('adapted_0', 1), target('adapted_1', 1)],
+            current: 0,
+            time: null,
+            quad: new MeshInstance(new Quad(), this.shaders.exposure, new Material()),
+
+        }
+
+    }
+
+    init_shadows() {
+
+        // Every shadow casting point light takes six layers, one per cube face,
+        // a directional light one per cascade, and a spot light just one
+        const size = SHADOW_MAP_SIZE, layers = 32;
+        var tex = new Texture('shadow', size, size, layers);
+        this.textures['shadow_maps'] = tex;
+
+        // Depth is only used for the depth test, the layers store linear depth
+        var target = this.addRenderTarget('shadows', ['DEPTH24'], { width: size, height: size });
+
+        this.shadowMap = {
+
+            target: target,
+            texture: tex,
+            size: size,
+            layers: layers,
+
+            bind: function (layer, resolution) {
+
+                // Attach a single layer and clear it to 'nothing in view'
+                GL.bindFramebuffer(GL.FRAMEBUFFER, this.target.FBO);
+                GL.framebufferTextureLayer(GL.FRAMEBUFFER, GL.COLOR_ATTACHMENT0, this.texture.index, 0, layer);
+                GL.drawBuffers([GL.COLOR_ATTACHMENT0]);
+                GL.viewport(0, 0, resolution, resolution);
+                GL.clearBufferfv(GL.COLOR, 0, [1e20, 0, 0, 0]);
+                GL.clear(GL.DEPTH_BUFFER_BIT);
+
+            }
+
+        }
+
+    }
+
+    init_cookies() {
+
+        // Cookie images are resized to fit a layer when loaded
+        const size = 256, layers = 8;
+        var tex = new Texture('cookie', size, size, layers);
+        this.textures['cookie_maps'] = tex;
+
+        this.cookieMap = {
+            texture: tex,
+            size: size,
+            layers: layers,
+            count: 0,
+        }
+
+    }
+
+    init_environment() {
+
+        // Maps stay black until setEnvironment bakes them, the BRDF table
+        // doesn't depend on the environment so is made once here
+        var tex = this.textures;
+        tex['environment'] = new Texture('cube', 512, 512, 10);
+        tex['irradiance'] = new Texture('cube', 32, 32, 1);
+        tex['prefiltered'] = new Texture('cube', 128, 128, 5);
+        tex['brdf_lut'] = new Texture('float', 256, 256);
+
+        // The bake's target takes one face and mip at a time, see renderEnvironmentPass
+        this.environment = {
+            target: new RenderTarget([tex.brdf_lut], { width: tex.brdf_lut.width, height: tex.brdf_lut.height }),
+            quad: new MeshInstance(new Quad(), this.shaders.equirect, new Material()),
+            cube: tex.environment,
+            irradiance: tex.irradiance,
+            prefiltered: tex.prefiltered,
+            brdf: tex.brdf_lut,
+            ready: false,
+            intensity: 1.0,
+            rotation: 0,
+        }
+
+        this.renderEnvironmentPass(this.shaders.brdf, null, tex.brdf_lut, GL.TEXTURE_2D, 0);
 
     }
 
@@ -167,6 +750,117 @@ class Renderer {
         return mat;
     }
 
+    createCookie(source) {
+
+        // Returns the layer to pass to SpotLight.setCookie
+        var cm = this.cookieMap;
+        if (cm.count >= cm.layers) {
+            console.log("No cookie layers left for " + source);
+            return -1;
+        }
+
+        cm.texture.loadLayer(source, cm.count);
+        return cm.count++;
+    }
+
+    setEnvironment(url, intensity = 1.0, rotation = 0) {
+
+        // Loads an equirectangular Radiance HDR, rotation is in degrees around the up axis
+        const env = this.environment;
+        env.intensity = intensity;
+        env.rotation = rotation;
+
+        fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(response.status + ' ' + response.statusText);
+                return response.arrayBuffer();
+            })
+            .then(buffer => {
+                const hdr = loadHDR(buffer);
+                const tex = new Texture('float', hdr.width, hdr.height);
+                tex.setData(hdr.data);
+                this.bakeEnvironment(tex);
+                GL.deleteTexture(tex.index);
+                env.ready = true;
+            })
+            .catch(e => console.log("Failed to load environment " + url + ": " + e.message));
+
+    }
+
+    loadLUT(url, strength = 1.0) {
+
+        // Loads an Adobe/Resolve .cube 3D lookup table into the grading pass
+        const grading = this.postProcess.get('grading');
+
+        fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(response.status + ' ' + response.statusText);
+                return response.text();
+            })
+            .then(text => {
+                const lut = loadCUBE(text);
+                const tex = new Texture('lut', lut.size, lut.size, lut.size);
+                tex.setData(lut.data);
+                const previous = grading.uniforms.lutTexture;
+                if (previous != this.textures['lut_identity']) GL.deleteTexture(previous.index);
+
+                this.textures['lut'] = tex;
+                grading.setUniform('lutTexture', tex);
+                grading.setUniform('lutStrength', strength);
+                grading.setUniform('lutDomainMin', lut.domainMin);
+                grading.setUniform('lutDomainMax', lut.domainMax);
+            })
+            .catch(e => console.log("Failed to load LUT " + url + ": " + e.message));
+
+    }
+
+    bakeEnvironment(equirect) {
+
+        const env = this.environment, shd = this.shaders;
+        const faces = (shader, source, target, level) => {
+            for (let f = 0; f < 6; f++) {
+                this.renderEnvironmentPass(shader, source, target, GL.TEXTURE_CUBE_MAP_POSITIVE_X + f, level, f);
+            }
+        }
+
+        // Cube map with mips, sampling the lower mips keeps the convolutions from aliasing
+        faces(shd.equirect, equirect, env.cube, 0);
+        GL.bindTexture(GL.TEXTURE_CUBE_MAP, env.cube.index);
+        GL.generateMipmap(GL.TEXTURE_CUBE_MAP);
+        GL.bindTexture(GL.TEXTURE_CUBE_MAP, null);
+
+        faces(shd.irradiance, env.cube, env.irradiance, 0);
+
+        // Roughness goes from 0 to 1 over the prefiltered mips
+        for (let level = 0; level < env.prefiltered.levels; level++) {
+            shd.prefilter.bind(env.quad.mesh.buffers);
+            shd.prefilter.setUniformFloat(level / (env.prefiltered.levels - 1), 'roughness');
+            shd.prefilter.setUniformFloat(env.cube.width, 'resolution');
+            faces(shd.prefilter, env.cube, env.prefiltered, level);
+        }
+
+    }
+
+    renderEnvironmentPass(shader, source, target, face, level, faceIndex = 0) {
+
+        // Draws a fullscreen quad into a single face and mip of the target
+        const env = this.environment, identity = mat4.create();
+
+        env.target.attach(0, target, face, level);
+        env.target.bind();
+        GL.disable(GL.DEPTH_TEST);
+        GL.disable(GL.CULL_FACE);
+
+        env.quad.setBaseTexture(source);
+        env.quad.bind({ projectionMatrix: identity, viewMatrix: identity, cameraPosition: [0, 0, 0] }, shader);
+        shader.setUniformInt(faceIndex, 'face');
+        env.quad.draw();
+
+        GL.bindFramebuffer(GL.FRAMEBUFFER, null);
+        GL.viewport(0, 0, canvas.width, canvas.height);
+
+    }
+
     onWindowResize() {
 
         // Resize the canvas and viewport
@@ -177,100 +871,737 @@ class Renderer {
 
         if (!this.init) return;
 
-        // Resize the GBuffer 
-        var tex = this.gBuffer.material.textures;
-        GL.bindRenderbuffer(GL.RENDERBUFFER, this.gBuffer.depth);
-        GL.renderbufferStorage(GL.RENDERBUFFER, GL.DEPTH_COMPONENT24, w, h);
-        GL.bindRenderbuffer(GL.RENDERBUFFER, null);
-
-        for (const t in tex) {
-            GL.bindTexture(GL.TEXTURE_2D, tex[t].index);
-            GL.texImage2D(GL.TEXTURE_2D, 0, GL.RGBA32F, w, h, 0, GL.RGBA, GL.FLOAT, null);
+        // In the order they were made, so shared attachments are resized before the targets sharing them
+        for (const name in this.renderTargets) {
+            const target = this.renderTargets[name];
+            if (target.scale) target.resize(w, h);
         }
-
-        GL.bindTexture(GL.TEXTURE_2D, null);
+        this.taa.valid = false;
 
     }
 
-    renderScene(delta) {
+    renderShadows(intensity) {
 
-        const att = this.attributes;
-        const tex = this.materials.gBuffer.textures;
+        const sm = this.shadowMap, lights = this.scene.lights, meshes = this.scene.meshes;
 
-        // Setup gbuffer 
-        this.gBuffer.bind();
-        GL.clearColor(0.0, 0.0, 0.0, 1.0);
         GL.enable(GL.DEPTH_TEST);
         GL.enable(GL.CULL_FACE);
         GL.cullFace(GL.BACK);
-        GL.clear(GL.COLOR_BUFFER_BIT | GL.DEPTH_BUFFER_BIT);
-        this.camera.update(att);
 
-        // Render to gbuffer
-        const meshes = this.scene.meshes;
-        for (let m in meshes) {
-            const mesh = meshes[m];
-            if (!mesh.visible) continue;
-            mesh.bind(att);
-            mesh.draw();
-        }
+        // Each view a light returns is rendered into its own layer
+        var layer = 0;
+        sm.sun = null;
+        for (let l in lights) {
 
-        // Setup default FBO
-        GL.bindFramebuffer(GL.FRAMEBUFFER, null);
-        GL.clear(GL.COLOR_BUFFER_BIT | GL.DEPTH_BUFFER_BIT);
-        GL.disable(GL.DEPTH_TEST);
-        GL.disable(GL.CULL_FACE);
+            const light = lights[l];
+            light.shadowLayer = -1;
+            if (!light.visible || !light.castShadow) continue;
 
-        // Orthographic camera for 2D rendering
-        this.postCamera.update(att);
-        att['cameraPosition'] = this.camera.position;
-        var winW = window.innerWidth, winH = window.innerHeight;
+            // The deferred shader only has uniforms for one set of cascades
+            if (light.type == 'directional' && sm.sun) continue;
 
-        // Create light array for uniform
-        const lights = this.scene.lights;
-        var count = 0;
-        var lightArr = [0, Math.pow(att.lightAmbience * 0.1 * 4, 2), (1 - att.lightIntensity) * 0.1 + 0.001];
-        for (let l in lights) count += lights[l].addToArray(lightArr);
-        lightArr[0] = count * 3;
+            const views = light.getShadowViews(this.camera, intensity);
+            if (layer + views.length > sm.layers) continue;
 
-        // Finale scene render
-        this.defferedQuad.setScale(winW, winH, 1);
-        this.defferedQuad.setPosition(0, 0, 0);
-        this.defferedQuad.bind(att);
-        this.shaders.deferred.setUniformFloat3(lightArr, 'lights');
-        this.defferedQuad.draw();
+            const res = Math.min(light.shadowResolution, sm.size);
+            light.shadowLayer = layer;
+            if (light.type == 'directional') sm.sun = light;
 
-        // Show gbuffer components
-        if (att.drawGbuffer) {
+            for (const view of views) {
 
-            var height = winH / 4, width = height * (winW / winH),
-                dx = (winW / -2) + width / 2, dy = (winH / 2) - height / 2;
+                sm.bind(layer++, res);
 
-            var q = this.bufferQuad;
-            q.setScale(width, height, 1);
+                // Cutouts are double-sided as in the GBuffer pass, transparent meshes cast no shadow
+                for (let m in meshes) {
+                    const mesh = meshes[m];
+                    if (!mesh.visible || mesh.material.transparent) continue;
+                    if (mesh.material.alphaCutoff > 0) GL.disable(GL.CULL_FACE);
+                    else GL.enable(GL.CULL_FACE);
+                    mesh.bind(view, this.shaders.shadow);
+                    mesh.draw();
+                }
 
-            for (const t in tex) {
-                if (t == 'base') continue;
-                q.setBaseTexture(tex[t]);
-                q.setPosition(dx, dy, 0);
-                q.bind(att);
-                q.draw();
-                dy -= height;
             }
 
         }
 
+        GL.bindFramebuffer(GL.FRAMEBUFFER, null);
+        GL.viewport(0, 0, canvas.width, canvas.height);
+
+    }
+
+    setLightUniforms(shader, lightParams, dirArr) {
+
+        // Lighting uniforms and textures, units follow the GBuffer material's
+        const sun = this.shadowMap.sun;
+        shader.setUniformMatrix4(this.camera.getInverseViewProjection(), 'inverseViewProjection');
+        shader.setUniformFloat2(lightParams, 'lightParams');
+        shader.setUniformFloat3(dirArr, 'directionalLights');
+        shader.setUniformTexture(this.shadowMap.texture, 5, 'shadowMaps');
+        shader.setUniformTexture(this.cookieMap.texture, 6, 'cookieMaps');
+        this.clusters.bind(shader, 7);
+
+        // Image based lighting, a zero intensity falls back to the flat ambient
+        const env = this.environment;
+        shader.setUniformTexture(env.irradiance, 10, 'irradianceMap');
+        shader.setUniformTexture(env.prefiltered, 11, 'prefilterMap');
+        shader.setUniformTexture(env.brdf, 12, 'brdfLUT');
+        shader.setUniformTexture(this.ssao.texture, 13, 'ssaoTexture');
+        shader.setUniformFloat4(this.environmentParams(!this.attributes.ssr), 'environmentParams');
+        this.setFogUniforms(shader);
+
+        // Cascades of the shadow casting directional light
+        if (sun) {
+            shader.setUniformMatrix4(sun.cascadeMatrices, 'cascadeMatrices');
+            shader.setUniformFloat4(sun.cascadeBias, 'cascadeBias');
+        }
+
     }
 
-}
+    environmentParams(specular) {
 
-class Scene {
+        // Intensity (zero until loaded), rotation, last prefiltered mip, and whether
+        // the lighting pass adds the specular reflection, SSR takes it over when on
+        const env = this.environment;
+        return [env.ready ? env.intensity : 0, env.rotation * M_RAD, env.prefiltered.levels - 1, specular ? 1 : 0];
 
-    // A storage container for meshes and lights
+    }
+
+    setFogUniforms(shader) {
+
+        const fog = this.scene.fog;
+        shader.setUniformFloat3(fog.color.map(c => c / 255), 'fogColor');
+        shader.setUniformFloat4([fog.density, fog.start, fog.heightFalloff, fog.height], 'fogParams');
+
+    }
+
+    renderSSAO() {
+
+        // Occlusion is left white when disabled so the lighting pass needs no variant
+        const att = this.attributes, ssao = this.ssao;
+        if (!att.ssao) {
+            ssao.bind(1);
+            GL.clearColor(1.0, 1.0, 1.0, 1.0);
+            GL.clear(GL.COLOR_BUFFER_BIT);
+            GL.clearColor(0.0, 0.0, 0.0, 1.0);
+            return;
+        }
+
+        // Hemisphere kernel along +Z, samples cluster towards the fragment
+        const samples = clamp(Math.round(att.ssaoSamples), 1, 64);
+        if (!ssao.kernel || ssao.kernel.length != samples * 3) {
+            ssao.kernel = [];
+            for (let i = 0; i < samples; i++) {
+                const v = vec3.fromValues(Math.random() * 2 - 1, Math.random() * 2 - 1, Math.random());
+                const scale = i / samples;
+                vec3.normalize(v, v);
+                vec3.scale(v, v, Math.random() * (0.1 + 0.9 * scale * scale));
+                ssao.kernel.push(v[0], v[1], v[2]);
+            }
+        }
+
+        const postAtt = {}, viewProj = mat4.create();
+        this.postCamera.update(postAtt);
+        mat4.multiply(viewProj, this.camera.projectionMatrix, this.camera.viewMatrix);
+        GL.disable(GL.DEPTH_TEST);
+        GL.disable(GL.CULL_FACE);
+
+        const shd = this.shaders.ssao, q = ssao.quad;
+        ssao.bind(0);
+        q.setScale(window.innerWidth, window.innerHeight, 1);
+        q.bind(postAtt);
+        shd.setUniformMatrix4(this.camera.viewMatrix, 'view');
+        shd.setUniformMatrix4(viewProj, 'viewProjection');
+        shd.setUniformMatrix4(this.camera.getInverseViewProjection(), 'inverseViewProjection');
+        shd.setUniformFloat3(ssao.kernel, 'ssaoKernel');
+        shd.setUniformFloat3([att.ssaoRadius, att.ssaoIntensity, samples], 'ssaoParams');
+        q.draw();
+
+        ssao.bind(1);
+        ssao.blurQuad.setScale(window.innerWidth, window.innerHeight, 1);
+        ssao.blurQuad.bind(postAtt);
+        ssao.blurQuad.draw();
+
+    }
+
+    renderLightVolumes(lightParams, dirArr) {
+
+        // Each point light is a sphere of its range drawn additively into the light buffer.
+        // A stencil pass first marks the pixels whose surface lies inside the sphere
+        const vol = this.lightVolume, shd = this.shaders.lightVolume, volAtt = {};
+        this.camera.update(volAtt);
+
+        GL.enable(GL.STENCIL_TEST);
+        GL.enable(GL.BLEND);
+        GL.blendFunc(GL.ONE, GL.ONE);
+        GL.depthMask(false);
+
+        for (const volume of this.clusters.volumes) {
+
+            const r = volume.range, p = volume.light.position;
+            vol.setPosition(p[0], p[1], p[2]);
+            vol.setScale(r, r, r);
+
+            // Back faces behind the surface increment, front faces behind it decrement.
+            // The shadow shader's position only variant is the cheapest to draw with as color writes are off
+            GL.clear(GL.STENCIL_BUFFER_BIT);
+            GL.colorMask(false, false, false, false);
+            GL.enable(GL.DEPTH_TEST);
+            GL.disable(GL.CULL_FACE);
+            GL.stencilFunc(GL.ALWAYS, 0, 0);
+            GL.stencilOpSeparate(GL.BACK, GL.KEEP, GL.INCR_WRAP, GL.KEEP);
+            GL.stencilOpSeparate(GL.FRONT, GL.KEEP, GL.DECR_WRAP, GL.KEEP);
+            vol.bind(volAtt, this.shaders.stencil);
+            vol.draw();
+
+            // Light the marked pixels, back faces so the camera can be inside the sphere
+            GL.colorMask(true, true, true, true);
+            GL.disable(GL.DEPTH_TEST);
+            GL.enable(GL.CULL_FACE);
+            GL.cullFace(GL.FRONT);
+            GL.stencilFunc(GL.NOTEQUAL, 0, 0xFF);
+            vol.bind(volAtt);
+            this.setLightUniforms(shd, lightParams, dirArr);
+            shd.setUniformInt(volume.index, 'lightIndex');
+            vol.draw();
+
+        }
+
+        GL.disable(GL.STENCIL_TEST);
+        GL.disable(GL.BLEND);
+        GL.disable(GL.CULL_FACE);
+        GL.cullFace(GL.BACK);
+        GL.depthMask(true);
+
+    }
+
+    renderSSR() {
+
+        // Traces reflections against the lit light buffer, misses fall back to the environment
+        const att = this.attributes, ssr = this.ssr, env = this.environment;
+        const postAtt = {};
+        this.postCamera.update(postAtt);
+        postAtt['cameraPosition'] = this.camera.position;
+        GL.disable(GL.DEPTH_TEST);
+        GL.disable(GL.CULL_FACE);
+
+        const shd = this.shaders.ssr, q = ssr.quad;
+        ssr.bind();
+        GL.clear(GL.COLOR_BUFFER_BIT);
+        q.setScale(window.innerWidth, window.innerHeight, 1);
+        q.bind(postAtt);
+        shd.setUniformTexture(this.lightBuffer.texture, 5, 'colorTexture');
+        shd.setUniformTexture(env.prefiltered, 11, 'prefilterMap');
+        shd.setUniformTexture(env.brdf, 12, 'brdfLUT');
+        shd.setUniformTexture(this.ssao.texture, 13, 'ssaoTexture');
+        shd.setUniformFloat4(this.environmentParams(true), 'environmentParams');
+        shd.setUniformMatrix4(this.camera.viewMatrix, 'view');
+        shd.setUniformMatrix4(this.camera.projectionMatrix, 'cameraProjection');
+        shd.setUniformMatrix4(this.camera.getInverseViewProjection(), 'inverseViewProjection');
+        shd.setUniformFloat4([att.ssrMaxDistance, att.ssrThickness, clamp(Math.round(att.ssrSteps), 1, 128), att.ssrMaxRoughness], 'ssrParams');
+        this.setFogUniforms(shd);
+        q.draw();
+
+        // Add onto the light buffer, its depth is already in place
+        this.lightBuffer.target.bind();
+        GL.enable(GL.BLEND);
+        GL.blendFunc(GL.ONE, GL.ONE);
+        ssr.compositeQuad.setScale(window.innerWidth, window.innerHeight, 1);
+        ssr.compositeQuad.bind(postAtt);
+        ssr.compositeQuad.draw();
+        GL.disable(GL.BLEND);
+
+    }
+
+    renderBloom() {
+
+        // Bright light is downsampled through the mips then upsampled back additively
+        const att = this.attributes, bloom = this.bloom, q = bloom.quad, mips = bloom.mips;
+        const postAtt = {};
+        this.postCamera.update(postAtt);
+        q.setScale(window.innerWidth, window.innerHeight, 1);
+        GL.disable(GL.DEPTH_TEST);
+        GL.disable(GL.CULL_FACE);
+
+        // The first downsample keeps only what is above the threshold
+        let source = this.lightBuffer.texture;
+        for (let i = 0; i < mips.length; i++) {
+            const shd = i == 0 ? this.shaders.bloomPrefilter : this.shaders.bloomDownsample;
+            bloom.bind(i);
+            q.bind(postAtt, shd);
+            shd.setUniformTexture(source, 0, 'base');
+            if (i == 0) shd.setUniformFloat2([att.bloomThreshold, att.bloomThreshold * 0.5], 'bloomThreshold');
+            q.draw();
+            source = mips[i].texture;
+        }
+
+        // Each smaller mip adds onto the next, the largest onto the light buffer
+        const shd = this.shaders.bloomUpsample;
+        GL.enable(GL.BLEND);
+        GL.blendFunc(GL.ONE, GL.ONE);
+        for (let i = mips.length - 1; i >= 0; i--) {
+            if (i > 0) bloom.bind(i - 1);
+            else this.lightBuffer.target.bind();
+            q.bind(postAtt, shd);
+            shd.setUniformTexture(mips[i].texture, 0, 'base');
+            shd.setUniformFloat2([att.bloomRadius, i > 0 ? 1.0 : att.bloomIntensity], 'bloomParams');
+            q.draw();
+        }
+        GL.disable(GL.BLEND);
+
+    }
+
+    renderVolumetric(lightParams, dirArr) {
+
+        // Light scattered by the air along each view ray, point lights drawn as volumes
+        // aren't clustered so only the spot and directional lights scatter in that mode
+        const att = this.attributes, vol = this.volumetric, shd = this.shaders.volumetric;
+        const postAtt = {};
+        this.postCamera.update(postAtt);
+        postAtt['cameraPosition'] = this.camera.position;
+        GL.disable(GL.DEPTH_TEST);
+        GL.disable(GL.CULL_FACE);
+
+        vol.bind();
+        vol.quad.setScale(window.innerWidth, window.innerHeight, 1);
+        vol.quad.bind(postAtt);
+        this.setLightUniforms(shd, lightParams, dirArr);
+        shd.setUniformFloat4([att.volumetricDensity, clamp(att.volumetricAnisotropy, -0.95, 0.95),
+            clamp(Math.round(att.volumetricSteps), 1, 128), att.volumetricDistance], 'volumetricParams');
+        shd.setUniformFloat((this.frame * 0.618034) % 1, 'volumetricJitter');
+        vol.quad.draw();
+
+        // Upsampled by linear filtering as it is added onto the light buffer
+        this.lightBuffer.target.bind();
+        GL.enable(GL.BLEND);
+        GL.blendFunc(GL.ONE, GL.ONE);
+        vol.compositeQuad.setScale(window.innerWidth, window.innerHeight, 1);
+        vol.compositeQuad.bind(postAtt);
+        vol.compositeQuad.draw();
+        GL.disable(GL.BLEND);
+
+    }
+
+    renderTAA(source) {
+
+        // Blends the jittered frame into the history, returns the texture it was written to
+        const att = this.attributes, taa = this.taa, camera = this.camera, q = taa.quad, shd = this.shaders.taa;
+        const read = taa.history[taa.current], write = taa.history[1 - taa.current];
+        const postAtt = {};
+        this.postCamera.update(postAtt);
+        GL.disable(GL.DEPTH_TEST);
+        GL.disable(GL.CULL_FACE);
+
+        write.bind();
+        q.setScale(window.innerWidth, window.innerHeight, 1);
+        q.bind(postAtt);
+        shd.setUniformTexture(source, 5, 'base');
+        shd.setUniformTexture(read.texture, 6, 'historyTexture');
+        shd.setUniformTexture(this.gBuffer.velocity, 7, 'velocityTexture');
+        shd.setUniformMatrix4(taa.previousViewProjection, 'previousViewProjection');
+        shd.setUniformMatrix4(camera.getInverseViewProjection(), 'inverseViewProjection');
+        shd.setUniformFloat2([att.taaBlend, taa.valid ? 1 : 0], 'taaParams');
+        q.draw();
+
+        // Reprojection ignores jitter, the history converges on the unjittered image
+        mat4.multiply(taa.previousViewProjection, camera.unjitteredProjection, camera.viewMatrix);
+        taa.current = 1 - taa.current;
+        taa.valid = true;
+        return write.texture;
+
+    }
+
+    renderDepthOfField(source) {
+
+        // Blurs source by the camera's lens, returns the texture it was written to
+        const att = this.attributes, dof = this.dof, camera = this.camera, q = dof.quad;
+        const params = [camera.getCircleOfConfusionScale(window.innerHeight), camera.focusDistance, att.dofMaxBlur, camera.apertureBlades];
+        const inverseViewProjection = camera.getInverseViewProjection();
+        const postAtt = {};
+        this.postCamera.update(postAtt);
+        q.setScale(window.innerWidth, window.innerHeight, 1);
+        GL.disable(GL.DEPTH_TEST);
+        GL.disable(GL.CULL_FACE);
+
+        // Half resolution color with the CoC in alpha
+        let shd = this.shaders.dofPrefilter;
+        dof.prefilter.bind();
+        q.bind(postAtt, shd);
+        shd.setUniformTexture(source, 5, 'base');
+        shd.setUniformMatrix4(camera.viewMatrix, 'view');
+        shd.setUniformMatrix4(inverseViewProjection, 'inverseViewProjection');
+        shd.setUniformFloat4(params, 'dofParams');
+        q.draw();
+
+        // Bokeh gathered from it
+        shd = this.shaders.dofBokeh;
+        dof.bokeh.bind();
+        q.bind(postAtt, shd);
+        shd.setUniformTexture(dof.prefilter.texture, 5, 'base');
+        shd.setUniformFloat4(params, 'dofParams');
+        q.draw();
+
+        // Blended over the sharp source at full resolution
+        shd = this.shaders.dofComposite;
+        dof.output.bind();
+        q.bind(postAtt, shd);
+        shd.setUniformTexture(source, 5, 'base');
+        shd.setUniformTexture(dof.bokeh.texture, 6, 'dofTexture');
+        shd.setUniformMatrix4(camera.viewMatrix, 'view');
+        shd.setUniformMatrix4(inverseViewProjection, 'inverseViewProjection');
+        shd.setUniformFloat4(params, 'dofParams');
+        q.draw();
+
+        return dof.output.texture;
+
+    }
+
+    renderExposure(source) {
+
+        // Adapts the exposure to source's luminance, instantly after being off
+        const att = this.attributes, exp = this.exposure, now = performance.now();
+        const dt = exp.time === null ? Infinity : (now - exp.time) / 1000;
+        const rates = [att.exposureSpeedUp, att.exposureSpeedDown].map(speed => 1 - Math.exp(-dt * speed));
+        exp.time = now;
+        GL.disable(GL.DEPTH_TEST);
+        GL.disable(GL.CULL_FACE);
+
+        // Each point adds to its luminance's bin
+        let shd = this.shaders.histogram;
+        exp.histogram.bind();
+        GL.clear(GL.COLOR_BUFFER_BIT);
+        GL.enable(GL.BLEND);
+        GL.blendFunc(GL.ONE, GL.ONE);
+        shd.bind({});
+        shd.setUniformTexture(source, 5, 'base');
+        shd.setUniformFloat2(HISTOGRAM_RANGE, 'histogramParams');
+        shd.setUniformFloat(HISTOGRAM_BINS, 'bins');
+        GL.drawArrays(GL.POINTS, 0, HISTOGRAM_POINTS);
+        GL.disable(GL.BLEND);
+
+        // Last frame's exposure eased towards the histogram's
+        const read = exp.adapted[exp.current], write = exp.adapted[1 - exp.current];
+        const postAtt = {};
+        this.postCamera.update(postAtt);
+        shd = this.shaders.exposure;
+        write.bind();
+        exp.quad.setScale(window.innerWidth, window.innerHeight, 1);
+        exp.quad.bind(postAtt);
+        shd.setUniformTexture(exp.histogram.texture, 5, 'histogramTexture');
+        shd.setUniformTexture(read.texture, 6, 'exposureTexture');
+        shd.setUniformFloat2(HISTOGRAM_RANGE, 'histogramParams');
+        shd.setUniformFloat4([att.exposureMinEv, att.exposureMaxEv, rates[0], rates[1]], 'exposureParams');
+        exp.quad.draw();
+        exp.current = 1 - exp.current;
+
+        GL.bindFramebuffer(GL.FRAMEBUFFER, null);
+        GL.viewport(0, 0, canvas.width, canvas.height);
+
+    }
+
+    renderDecals(attributes) {
+
+        // Each decal's box is drawn by back faces so the camera can be inside it
+        const decals = this.scene.decals.filter(d => d.visible);
+        if (decals.length == 0 || (!this.compactGBuffer && !this.floatBlend)) return;
+
+        const vol = this.decals.volume, shd = this.shaders.decal, gTex = this.gBuffer.material.textures;
+        const model = mat4.create();
+        this.decals.bind();
+        GL.disable(GL.DEPTH_TEST);
+        GL.enable(GL.CULL_FACE);
+        GL.cullFace(GL.FRONT);
+
+        // Color is blended by the decal's alpha, the GBuffer alphas hold data so are kept
+        GL.enable(GL.BLEND);
+        GL.blendFuncSeparate(GL.SRC_ALPHA, GL.ONE_MINUS_SRC_ALPHA, GL.ZERO, GL.ONE);
+
+        for (const decal of decals) {
+
+            vec3.copy(vol.position, decal.position);
+            quat.copy(vol.rotation, decal.rotation);
+            vec3.copy(vol.scale, decal.scale);
+            vol.material = decal.material;
+            vol.bind(attributes);
+
+            // Textures follow the decal's material
+            if (this.compactGBuffer) shd.setUniformTexture(gTex.depth, 3, 'depth');
+            else shd.setUniformTexture(gTex.position, 3, 'position');
+            mat4.fromRotationTranslationScale(model, decal.rotation, decal.position, decal.scale);
+            shd.setUniformMatrix4(mat4.invert(model, model), 'decalMatrix');
+            shd.setUniformMatrix4(this.camera.getInverseViewProjection(), 'inverseViewProjection');
+            shd.setUniformFloat2([Math.cos(decal.fadeAngles[0] * M_RAD), Math.cos(decal.fadeAngles[1] * M_RAD)], 'decalFade');
+            vol.draw();
+
+        }
+
+        GL.disable(GL.BLEND);
+        GL.cullFace(GL.BACK);
+
+    }
+
+    renderTransparent(lightParams, dirArr) {
+
+        // Lit forward into the light buffer, tested against but not writing the scene's depth.
+        // Point lights drawn as volumes aren't clustered so only light opaque surfaces
+        const camera = this.camera, shd = this.shaders.forward, fwdAtt = {};
+        const meshes = this.scene.meshes.filter(m => m.visible && m.material.transparent);
+        if (meshes.length == 0) return;
+        camera.update(fwdAtt);
+
+        // Back to front by distance to the camera
+        const dist = new Map(meshes.map(m => [m, vec3.squaredDistance(m.position, camera.position)]));
+        meshes.sort((a, b) => dist.get(b) - dist.get(a));
+
+        this.lightBuffer.target.bind();
+        GL.enable(GL.DEPTH_TEST);
+        GL.enable(GL.CULL_FACE);
+        GL.cullFace(GL.BACK);
+        GL.depthMask(false);
+        GL.enable(GL.BLEND);
+        GL.blendFunc(GL.SRC_ALPHA, GL.ONE_MINUS_SRC_ALPHA);
+
+        for (const mesh of meshes) {
+            mesh.bind(fwdAtt, shd);
+            this.setLightUniforms(shd, lightParams, dirArr);
+            shd.setUniformFloat2([canvas.width, canvas.height], 'screenSize');
+            mesh.draw();
+        }
+
+        GL.disable(GL.BLEND);
+        GL.depthMask(true);
+        GL.disable(GL.DEPTH_TEST);
+        GL.disable(GL.CULL_FACE);
+
+    }
+
+    renderBackground(attributes) {
+
+        // Fullscreen quad, the shader discards pixels the GBuffer covered
+        const bg = this.scene.background, env = this.environment, shader = this.shaders.background;
+        const types = ['color', 'gradient', 'cube', 'equirect'];
+        const q = this.backgroundQuad;
+
+        // Cube backgrounds without a texture show the renderer's environment
+        const useEnv = bg.type == 'cube' && !bg.texture;
+        const cube = useEnv ? env.cube : (bg.type == 'cube' ? bg.texture : null);
+        const intensity = useEnv ? (env.ready ? env.intensity : 0) : bg.intensity;
+        const rotation = useEnv ? env.rotation : bg.rotation;
+
+        q.setScale(window.innerWidth, window.innerHeight, 1);
+        q.setPosition(0, 0, 0);
+        q.bind(attributes, shader);
+
+        // Coverage is the position alpha, or depth in the compact layout
+        const gTex = this.gBuffer.material.textures;
+        if (this.compactGBuffer) shader.setUniformTexture(gTex.depth, 0, 'depth');
+        else shader.setUniformTexture(gTex.position, 0, 'position');
+
+        // Both samplers need their own unit even when unused
+        shader.setUniformInt(1, 'base');
+        shader.setUniformInt(2, 'cubeTexture');
+        if (bg.type == 'equirect' && bg.texture) bg.texture.bind(1);
+        if (cube) cube.bind(2);
+        shader.setUniformMatrix4(this.camera.getInverseViewProjection(), 'inverseViewProjection');
+        shader.setUniformInt(types.indexOf(bg.type), 'backgroundType');
+        shader.setUniformFloat3(bg.color.concat(bg.bottom), 'backgroundColors');
+        shader.setUniformFloat2([intensity, rotation * M_RAD], 'backgroundParams');
+        this.setFogUniforms(shader);
+        q.draw();
+
+    }
+
+    renderScene(delta) {
+
+        const att = this.attributes;
+        const tex = this.materials.gBuffer.textures;
+        const intensity = (1 - att.lightIntensity) * 0.1 + 0.001;
+        this.frame++;
+
+        // TAA jitters the projection by a sub-pixel offset each frame
+        const taa = this.taa;
+        if (att.antiAliasing == 'taa') {
+            taa.frame = (taa.frame % TAA_SAMPLES) + 1;
+            this.camera.setJitter(halton(taa.frame, 2) - 0.5, halton(taa.frame, 3) - 0.5);
+        } else {
+            this.camera.setJitter(0, 0);
+            taa.valid = false;
+        }
+
+        // Shadow maps for lights which cast them, cascades follow the camera
+        this.camera.update(att);
+        this.renderShadows(intensity);
+
+        // Setup gbuffer 
+        this.gBuffer.bind();
+        GL.clearColor(0.0, 0.0, 0.0, 1.0);
+        GL.enable(GL.DEPTH_TEST);
+        GL.enable(GL.CULL_FACE);
+        GL.cullFace(GL.BACK);
+        GL.clear(GL.COLOR_BUFFER_BIT | GL.DEPTH_BUFFER_BIT);
+
+        // Render to gbuffer, transparent meshes are drawn forward after lighting.
+        // Velocity is between unjittered frames so TAA's jitter doesn't show as motion
+        const meshes = this.scene.meshes, viewProj = mat4.create();
+        mat4.multiply(viewProj, this.camera.unjitteredProjection, this.camera.viewMatrix);
+        for (let m in meshes) {
+            const mesh = meshes[m];
+            if (!mesh.visible || mesh.material.transparent) continue;
+            if (mesh.material.alphaCutoff > 0) GL.disable(GL.CULL_FACE);
+            else GL.enable(GL.CULL_FACE);
+            mesh.bind(att);
+            mesh.bindVelocity(viewProj, this.frame);
+            mesh.draw();
+        }
+
+        // Decals over the GBuffer surfaces
+        this.renderDecals(att);
+
+        // Contact shadows for the ambient light
+        this.renderSSAO();
+
+        // Bin point and spot lights into clusters, or list point lights for volumes
+        const lights = this.scene.lights;
+        this.clusters.update(lights, this.camera, intensity, att.lightVolumes);
+
+        // Directional lights reach every fragment, their array is headed by its length in vec3s
+        var dirArr = [0, 0, 0], dirCount = 0;
+        for (let l in lights) {
+            if (lights[l].type != 'directional') continue;
+            if (dirCount == MAX_DIRECTIONAL_LIGHTS) {
+                if (!this.directionalWarned) console.log("Only the first " + MAX_DIRECTIONAL_LIGHTS + " directional lights are drawn");
+                this.directionalWarned = true;
+                break;
+            }
+            dirCount += lights[l].addToArray(dirArr);
+        }
+        dirArr[0] = dirArr.length / 3;
+        const lightParams = [Math.pow(att.lightAmbience * 0.1 * 4, 2), intensity];
+
+        // Setup the HDR light buffer
+        this.lightBuffer.bind();
+        GL.clear(GL.COLOR_BUFFER_BIT);
+        GL.disable(GL.DEPTH_TEST);
+        GL.disable(GL.CULL_FACE);
+
+        // Orthographic camera for 2D rendering
+        this.postCamera.update(att);
+        att['cameraPosition'] = this.camera.position;
+        var winW = window.innerWidth, winH = window.innerHeight;
+
+        // Finale scene render
+        const shd = this.shaders.deferred;
+        this.defferedQuad.setScale(winW, winH, 1);
+        this.defferedQuad.setPosition(0, 0, 0);
+        this.defferedQuad.bind(att, shd);
+        this.setLightUniforms(shd, lightParams, dirArr);
+        this.defferedQuad.draw();
+
+        this.renderBackground(att);
+
+        // Add point light volumes and reflections
+        if (att.lightVolumes) this.renderLightVolumes(lightParams, dirArr);
+        if (att.ssr) this.renderSSR();
+
+        // Transparent meshes over the lit scene, then the light scattered in front of both
+        this.renderTransparent(lightParams, dirArr);
+        if (att.volumetric) this.renderVolumetric(lightParams, dirArr);
+
+        // Glow around light too bright for the display
+        if (att.bloom) this.renderBloom();
+
+        // Accumulate anti-aliased frames before post processing, then blur them by the lens
+        let source = att.antiAliasing == 'taa' ? this.renderTAA(this.lightBuffer.texture) : this.lightBuffer.texture;
+        if (att.depthOfField) source = this.renderDepthOfField(source);
+
+        // Exposure adapted to what is about to be tone mapped
+        if (att.autoExposure && this.floatBlend) this.renderExposure(source);
+        else this.exposure.time = null;
+        this.postProcess.get('fxaa').enabled = att.antiAliasing == 'fxaa';
+
+        // Post processing passes, the last draws to the screen
+        this.postProcess.render(source);
+        this.postCamera.update(att);
+        att['cameraPosition'] = this.camera.position;
+
+        // Show gbuffer components
+        if (att.drawGbuffer) {
+
+            // The compact layout has five buffers
+            var count = Object.keys(tex).filter(t => t != 'base').length;
+            var height = winH / Math.max(count, 4), width = height * (winW / winH),
+                dx = (winW / -2) + width / 2, dy = (winH / 2) - height / 2;
+
+            var q = this.bufferQuad;
+            q.setScale(width, height, 1);
+
+            for (const t in tex) {
+                if (t == 'base') continue;
+                q.setBaseTexture(tex[t]);
+                q.setPosition(dx, dy, 0);
+                q.bind(att);
+                q.draw();
+                dy -= height;
+            }
+
+        }
+
+    }
+
+}
+
+class Scene {
+
+    // A storage container for meshes and lights
 
     constructor() {
         this.meshes = [];
         this.lights = [];
+        this.decals = [];
+
+        // Exponential height fog, zero density is off and zero falloff is distance fog
+        this.fog = {
+            color: [0, 0, 0],
+            density: 0.0,
+            start: 0.0,
+            heightFalloff: 0.0,
+            height: 0.0,
+        };
+
+        // Shown where no geometry is drawn, colors are 0-255 like light colors
+        this.background = {
+            type: 'color',
+            color: [0, 0, 0],
+            bottom: [0, 0, 0],
+            texture: null,
+            intensity: 1.0,
+            rotation: 0,
+        };
+    }
+
+    setBackgroundColor(color) {
+        this.background.type = 'color';
+        this.background.color = color;
+    }
+
+    setBackgroundGradient(top, bottom) {
+        // Blends by the height of the view direction
+        this.background.type = 'gradient';
+        this.background.color = top;
+        this.background.bottom = bottom;
+    }
+
+    setBackgroundCube(texture = null, intensity = 1.0, rotation = 0) {
+        // Without a texture the renderer's environment is used, along with its intensity and rotation
+        Object.assign(this.background, { type: 'cube', texture: texture, intensity: intensity, rotation: rotation });
+    }
+
+    setBackgroundEquirect(texture, intensity = 1.0, rotation = 0) {
+        Object.assign(this.background, { type: 'equirect', texture: texture, intensity: intensity, rotation: rotation });
+    }
+
+    setFog(color, density, start = 0.0, heightFalloff = 0.0, height = 0.0) {
+        Object.assign(this.fog, { color, density, start, heightFalloff, height });
     }
 
     addLight(color) {
@@ -279,12 +1610,30 @@ class Scene {
         return light;
     }
 
+    addDirectionalLight(color, direction) {
+        var light = new DirectionalLight(color, direction);
+        this.lights.push(light);
+        return light;
+    }
+
+    addSpotLight(color, direction) {
+        var light = new SpotLight(color, direction);
+        this.lights.push(light);
+        return light;
+    }
+
     addMesh(geometry, shader, material, name) {
         var mesh = new MeshInstance(geometry, shader, material, name)
         this.meshes.push(mesh);
         return mesh;
     }
 
+    addDecal(material, name) {
+        var decal = new Decal(material, name);
+        this.decals.push(decal);
+        return decal;
+    }
+
 }
 
 class Material {
@@ -299,262 +1648,1244 @@ class Material {
             material: materialTex,
         }
 
+        // Emissive color is 0-255 like light colors, black is no emission
+        this.emissive = [0, 0, 0];
+        this.emissiveStrength = 1.0;
+
+        // Transparent materials skip the GBuffer and are blended by albedo alpha times opacity
+        this.transparent = false;
+        this.opacity = 1.0;
+
+        // Cutouts discard GBuffer fragments with albedo alpha below it and are double-sided, 0 is off
+        this.alphaCutoff = 0.0;
+
     }
 
     addTexture(tex, name) {
         this.textures[name] = tex;
     }
 
+    setEmissive(color, strength = 1.0, texture = null) {
+
+        // An emissive texture is multiplied by the color
+        this.emissive = color;
+        this.emissiveStrength = strength;
+        if (texture) this.addTexture(texture, 'emissive');
+
+    }
+
+    setTransparent(opacity = 1.0) {
+
+        this.transparent = true;
+        this.opacity = opacity;
+
+    }
+
+    setAlphaCutoff(cutoff = 0.5) {
+        this.alphaCutoff = cutoff;
+    }
+
     bind(shader) {
 
         var position = 0;
         for (const t in this.textures) {
             var tex = this.textures[t];
+            if (!tex) continue;
             tex.bind(position);
             GL.uniform1i(shader.uniforms[t], position);
             position++;
         }
 
+        // Without a texture the sampler is pointed at the first unit, the unit it was
+        // left on could hold a GBuffer attachment which would be a feedback loop
+        if (!this.textures.emissive) GL.uniform1i(shader.uniforms.emissive, 0);
+
+        const scale = this.emissiveStrength / 255;
+        GL.uniform4f(shader.uniforms.emissiveColor, this.emissive[0] * scale, this.emissive[1] * scale, this.emissive[2] * scale, this.textures.emissive ? 1 : 0);
+        GL.uniform1f(shader.uniforms.opacity, this.opacity);
+        GL.uniform1f(shader.uniforms.alphaCutoff, this.alphaCutoff);
+
+    }
+
+}
+
+class Texture {
+
+    constructor(source, width, height, count) {
+
+        // Count is the layers of an array, or the mip levels of a cube map
+        this.name = source;
+        this.index = GL.createTexture();
+        this.target = (source == 'shadow' || source == 'cookie') ? GL.TEXTURE_2D_ARRAY :
+                      (source == 'cube') ? GL.TEXTURE_CUBE_MAP :
+                      (source == 'lut') ? GL.TEXTURE_3D : GL.TEXTURE_2D;
+        GL.bindTexture(this.target, this.index);
+
+
+        // Boilerplate code for making either a normal texture, FBO attachement, shadow/cookie map array, or environment map
+        if (source == 'cookie') {
+            const levels = Math.floor(Math.log2(width)) + 1;
+            GL.texStorage3D(GL.TEXTURE_2D_ARRAY, levels, GL.RGBA8, width, height, count);
+            GL.texParameteri(GL.TEXTURE_2D_ARRAY, GL.TEXTURE_MIN_FILTER, GL.LINEAR_MIPMAP_LINEAR);
+            GL.texParameteri(GL.TEXTURE_2D_ARRAY, GL.TEXTURE_MAG_FILTER, GL.LINEAR);
+            GL.texParameteri(GL.TEXTURE_2D_ARRAY, GL.TEXTURE_WRAP_S, GL.CLAMP_TO_EDGE);
+            GL.texParameteri(GL.TEXTURE_2D_ARRAY, GL.TEXTURE_WRAP_T, GL.CLAMP_TO_EDGE);
+            GL.bindTexture(GL.TEXTURE_2D_ARRAY, null);
+            this.width = width;
+            this.height = height;
+        }
+        else if (source == 'shadow') {
+            GL.texStorage3D(GL.TEXTURE_2D_ARRAY, 1, GL.R32F, width, height, count);
+            GL.texParameteri(GL.TEXTURE_2D_ARRAY, GL.TEXTURE_MIN_FILTER, GL.NEAREST);
+            GL.texParameteri(GL.TEXTURE_2D_ARRAY, GL.TEXTURE_MAG_FILTER, GL.NEAREST);
+            GL.texParameteri(GL.TEXTURE_2D_ARRAY, GL.TEXTURE_WRAP_S, GL.CLAMP_TO_EDGE);
+            GL.texParameteri(GL.TEXTURE_2D_ARRAY, GL.TEXTURE_WRAP_T, GL.CLAMP_TO_EDGE);
+            GL.bindTexture(GL.TEXTURE_2D_ARRAY, null);
+        }
+        else if (source == 'cube') {
+            GL.texStorage2D(GL.TEXTURE_CUBE_MAP, count, GL.RGBA16F, width, height);
+            GL.texParameteri(GL.TEXTURE_CUBE_MAP, GL.TEXTURE_MIN_FILTER, count > 1 ? GL.LINEAR_MIPMAP_LINEAR : GL.LINEAR);
+            GL.texParameteri(GL.TEXTURE_CUBE_MAP, GL.TEXTURE_MAG_FILTER, GL.LINEAR);
+            GL.texParameteri(GL.TEXTURE_CUBE_MAP, GL.TEXTURE_WRAP_S, GL.CLAMP_TO_EDGE);
+            GL.texParameteri(GL.TEXTURE_CUBE_MAP, GL.TEXTURE_WRAP_T, GL.CLAMP_TO_EDGE);
+            GL.bindTexture(GL.TEXTURE_CUBE_MAP, null);
+            this.width = width;
+            this.height = height;
+            this.levels = count;
+        }
+        else if (source == 'lut') {
+            // 3D color lookup table, count is the depth, see setData
+            GL.texStorage3D(GL.TEXTURE_3D, 1, GL.RGBA16F, width, height, count);
+            GL.texParameteri(GL.TEXTURE_3D, GL.TEXTURE_MIN_FILTER, GL.LINEAR);
+            GL.texParameteri(GL.TEXTURE_3D, GL.TEXTURE_MAG_FILTER, GL.LINEAR);
+            GL.texParameteri(GL.TEXTURE_3D, GL.TEXTURE_WRAP_S, GL.CLAMP_TO_EDGE);
+            GL.texParameteri(GL.TEXTURE_3D, GL.TEXTURE_WRAP_T, GL.CLAMP_TO_EDGE);
+            GL.texParameteri(GL.TEXTURE_3D, GL.TEXTURE_WRAP_R, GL.CLAMP_TO_EDGE);
+            GL.bindTexture(GL.TEXTURE_3D, null);
+            this.width = width;
+            this.height = height;
+            this.depth = count;
+        }
+        else if (source == 'float') {
+            // Filterable half floats for HDR images and lookup tables, see setData
+            GL.texImage2D(GL.TEXTURE_2D, 0, GL.RGBA16F, width, height, 0, GL.RGBA, GL.FLOAT, null);
+            GL.texParameteri(GL.TEXTURE_2D, GL.TEXTURE_MIN_FILTER, GL.LINEAR);
+            GL.texParameteri(GL.TEXTURE_2D, GL.TEXTURE_MAG_FILTER, GL.LINEAR);
+            GL.texParameteri(GL.TEXTURE_2D, GL.TEXTURE_WRAP_S, GL.CLAMP_TO_EDGE);
+            GL.texParameteri(GL.TEXTURE_2D, GL.TEXTURE_WRAP_T, GL.CLAMP_TO_EDGE);
+            GL.bindTexture(GL.TEXTURE_2D, null);
+            this.width = width;
+            this.height = height;
+        }
+        else if (source in BUFFER_FORMATS) {
+            this.format = BUFFER_FORMATS[source].map(f => GL[f]);
+            this.resize(width, height);
+            GL.bindTexture(GL.TEXTURE_2D, this.index);
+            GL.texParameteri(GL.TEXTURE_2D, GL.TEXTURE_MIN_FILTER, GL.NEAREST);
+            GL.texParameteri(GL.TEXTURE_2D, GL.TEXTURE_MAG_FILTER, GL.NEAREST);
+            GL.bindTexture(GL.TEXTURE_2D, null);
+        }
+        else {
+            GL.texImage2D(GL.TEXTURE_2D, 0, GL.RGBA, 1, 1, 0, GL.RGBA, GL.UNSIGNED_BYTE, new Uint8Array([0, 0, 255, 255]));
+            const img = new Image();
+            img.src = source;
+            img.onload = () => {
+                GL.bindTexture(GL.TEXTURE_2D, this.index);
+                GL.texImage2D(GL.TEXTURE_2D, 0, GL.RGBA, GL.RGBA, GL.UNSIGNED_BYTE, img);
+                GL.generateMipmap(GL.TEXTURE_2D);
+                GL.texParameteri(GL.TEXTURE_2D, GL.TEXTURE_MIN_FILTER, GL.LINEAR_MIPMAP_LINEAR);
+                GL.texParameteri(GL.TEXTURE_2D, GL.TEXTURE_MAG_FILTER, GL.LINEAR);
+                GL.bindTexture(GL.TEXTURE_2D, null);
+            };
+        }
+
+    }
+
+    loadLayer(source, layer) {
+
+        // Draw the image at the array's size then upload it into the layer
+        const img = new Image();
+        img.src = source;
+        img.onload = () => {
+            const ctx = document.createElement('canvas').getContext('2d');
+            ctx.canvas.width = this.width;
+            ctx.canvas.height = this.height;
+            ctx.drawImage(img, 0, 0, this.width, this.height);
+
+            GL.bindTexture(this.target, this.index);
+            GL.texSubImage3D(this.target, 0, 0, 0, layer, this.width, this.height, 1, GL.RGBA, GL.UNSIGNED_BYTE, ctx.canvas);
+            GL.generateMipmap(this.target);
+            GL.bindTexture(this.target, null);
+        };
+
+    }
+
+    resize(width, height) {
+
+        // Reallocates an FBO attachment, contents are lost
+        const [internalFormat, format, type] = this.format;
+        GL.bindTexture(GL.TEXTURE_2D, this.index);
+        GL.texImage2D(GL.TEXTURE_2D, 0, internalFormat, width, height, 0, format, type, null);
+        GL.bindTexture(GL.TEXTURE_2D, null);
+        this.width = width;
+        this.height = height;
+
+    }
+
+    setData(data) {
+
+        // RGBA floats for the whole image, rows are flipped like images.  WebGL can't
+        // flip 3D uploads so a lookup table's data goes in as it is, X fastest then Y then Z
+        GL.bindTexture(this.target, this.index);
+        if (this.target == GL.TEXTURE_3D) {
+            GL.pixelStorei(GL.UNPACK_FLIP_Y_WEBGL, false);
+            GL.texSubImage3D(this.target, 0, 0, 0, 0, this.width, this.height, this.depth, GL.RGBA, GL.FLOAT, data);
+            GL.pixelStorei(GL.UNPACK_FLIP_Y_WEBGL, true);
+        } else {
+            GL.texSubImage2D(this.target, 0, 0, 0, this.width, this.height, GL.RGBA, GL.FLOAT, data);
+        }
+        GL.bindTexture(this.target, null);
+
+    }
+
+    setFilter(filter) {
+
+        // Buffers are nearest by default, passes sampling between texels want linear
+        GL.bindTexture(this.target, this.index);
+        GL.texParameteri(this.target, GL.TEXTURE_MIN_FILTER, filter);
+        GL.texParameteri(this.target, GL.TEXTURE_MAG_FILTER, filter);
+        GL.texParameteri(this.target, GL.TEXTURE_WRAP_S, GL.CLAMP_TO_EDGE);
+        GL.texParameteri(this.target, GL.TEXTURE_WRAP_T, GL.CLAMP_TO_EDGE);
+        GL.bindTexture(this.target, null);
+
+    }
+
+    bind(position) {
+
+        GL.activeTexture(GL.TEXTURE0 + position);
+        GL.bindTexture(this.target, this.index);
+
+    }
+
+}
+
+class RenderTarget {
+
+    // A framebuffer and the textures attached to it.  Attachments are
+    // formats of BUFFER_FORMATS, colors in order and at most one depth,
+    // or a Texture of another target to share which that target resizes.
+    // Sized by a scale of the canvas unless given a width and height.
+    // Only an incomplete target when made throws, later checks log
+
+    constructor(attachments, options = {}) {
+
+        const fixed = options.width != undefined;
+        this.scale = fixed ? 0 : (options.scale || 1);
+        this.FBO = GL.createFramebuffer();
+        this.colors = [];
+        this.depth = null;
+        this.owned = [];
+
+        GL.bindFramebuffer(GL.FRAMEBUFFER, this.FBO);
+        for (const attachment of attachments) {
+
+            const texture = attachment instanceof Texture ? attachment : new Texture(attachment, 1, 1);
+            if (texture != attachment) this.owned.push(texture);
+
+            var point;
+            if (texture.name in DEPTH_ATTACHMENTS) {
+                if (this.depth) throw new Error("Render target has more than one depth attachment");
+                this.depth = texture;
+                point = GL[DEPTH_ATTACHMENTS[texture.name]];
+            } else {
+                if (texture != attachment && options.filter) texture.setFilter(options.filter);
+                point = GL.COLOR_ATTACHMENT0 + this.colors.length;
+                this.colors.push(texture);
+            }
+            GL.framebufferTexture2D(GL.FRAMEBUFFER, point, GL.TEXTURE_2D, texture.index, 0);
+
+        }
+
+        this.buffers = this.colors.map((c, i) => GL.COLOR_ATTACHMENT0 + i);
+        this.texture = this.colors[0] || null;
+
+        if (fixed) this.resize(options.width, options.height);
+        else this.resize(canvas.width, canvas.height);
+        if (!this.complete) throw new Error("Incomplete render target, status 0x" + this.status.toString(16));
+
+    }
+
+    resize(width, height) {
+
+        // Scaled targets take the canvas size, shared attachments must already be the new size
+        if (this.scale) {
+            width = Math.max(Math.floor(width * this.scale), 1);
+            height = Math.max(Math.floor(height * this.scale), 1);
+        }
+        this.width = width;
+        this.height = height;
+        for (const texture of this.owned) texture.resize(width, height);
+        return this.check();
+
+    }
+
+    attach(index, texture, face = GL.TEXTURE_2D, level = 0) {
+
+        // Swaps a color attachment for a face and mip of another texture, e.g. a cube
+        // map's, the target takes the size of that mip
+        GL.bindFramebuffer(GL.FRAMEBUFFER, this.FBO);
+        GL.framebufferTexture2D(GL.FRAMEBUFFER, this.buffers[index], face, texture.index, level);
+        this.colors[index] = texture;
+        this.texture = this.colors[0];
+        this.width = Math.max(texture.width >> level, 1);
+        this.height = Math.max(texture.height >> level, 1);
+        return this.check();
+
+    }
+
+    check() {
+
+        // Mismatched sizes or a format the device can't render to
+        GL.bindFramebuffer(GL.FRAMEBUFFER, this.FBO);
+        this.status = GL.checkFramebufferStatus(GL.FRAMEBUFFER);
+        this.complete = this.status == GL.FRAMEBUFFER_COMPLETE;
+        GL.bindFramebuffer(GL.FRAMEBUFFER, null);
+        if (!this.complete) console.log("Incomplete render target, status 0x" + this.status.toString(16));
+        return this.complete;
+
+    }
+
+    bind() {
+
+        GL.bindFramebuffer(GL.FRAMEBUFFER, this.FBO);
+        GL.drawBuffers(this.buffers);
+        GL.viewport(0, 0, this.width, this.height);
+
+    }
+
+}
+
+class Mesh {
+
+    // Store vertex buffers of geometric data
+
+    constructor() {
+        this.buffers = {};
+    }
+
+    addBuffer(vertices, name, size) {
+
+        var buff = GL.createBuffer();
+
+        // Check if this buffer uses draw elements or array
+        if (name == 'index') {
+            GL.bindBuffer(GL.ELEMENT_ARRAY_BUFFER, buff);
+            GL.bufferData(GL.ELEMENT_ARRAY_BUFFER, new Uint16Array(vertices), GL.STATIC_DRAW);
+        } else {
+            GL.bindBuffer(GL.ARRAY_BUFFER, buff);
+            GL.bufferData(GL.ARRAY_BUFFER, new Float32Array(vertices), GL.STATIC_DRAW);
+        }
+
+        buff.itemSize = size;
+        buff.numItems = vertices.length / size;
+        this.buffers[name] = buff;
+
+    }
+
+    draw() {
+        GL.drawArrays(GL.TRIANGLES, 0, this.buffers.position.numItems);
+    }
+
+}
+
+class Quad extends Mesh {
+
+    // Useful for drawing fullscreen image or the Gbuffer contents
+
+    constructor() {
+
+        super();
+
+        this.addBuffer(
+            [
+                -0.5, -0.5, 1.0,
+                0.5, -0.5, 1.0,
+                0.5, 0.5, 1.0,
+                -0.5, 0.5, 1.0,
+            ], 'position', 3);
+
+        this.addBuffer(
+            [
+                0.0, 0.0,
+                1.0, 0.0,
+                1.0, 1.0,
+                0.0, 1.0,
+            ], 'uv', 2);
+
+        this.addBuffer(
+            [
+                0, 1, 2,
+                0, 2, 3,
+            ], 'index', 1);
+
+    }
+
+    draw() {
+        GL.drawElements(GL.TRIANGLES, this.buffers.index.numItems, GL.UNSIGNED_SHORT, 0);
+    }
+
+}
+
+class Sphere extends Mesh {
+
+    // Low poly unit sphere used for light volumes.  Vertices are pushed out
+    // so the flat faces enclose the unit sphere instead of cutting into it
+
+    constructor(rings = 12, segments = 16) {
+
+        super();
+
+        const scale = 1.0 / (Math.cos(Math.PI / rings) * Math.cos(Math.PI / segments));
+        const point = (r, s) => {
+            const theta = (r / rings) * Math.PI, phi = (s / segments) * 2 * Math.PI;
+            return [
+                Math.sin(theta) * Math.cos(phi) * scale,
+                Math.cos(theta) * scale,
+                Math.sin(theta) * Math.sin(phi) * scale,
+            ];
+        };
+
+        // Counter clockwise from outside
+        const vertices = [];
+        for (let r = 0; r < rings; r++) {
+            for (let s = 0; s < segments; s++) {
+                const a = point(r, s), b = point(r + 1, s), c = point(r + 1, s + 1), d = point(r, s + 1);
+                vertices.push(...a, ...c, ...b, ...a, ...d, ...c);
+            }
+        }
+
+        this.addBuffer(vertices, 'position', 3);
+
+    }
+
+}
+
+class Box extends Mesh {
+
+    // Unit cube centred on the origin, used for decal volumes
+
+    constructor() {
+
+        super();
+
+        // Two triangles per face, counter clockwise from outside
+        const vertices = [];
+        for (let axis = 0; axis < 3; axis++) {
+            for (const side of [-0.5, 0.5]) {
+                const corner = (u, v) => {
+                    const p = [0, 0, 0];
+                    p[axis] = side;
+                    p[(axis + 1) % 3] = side > 0 ? u : v;
+                    p[(axis + 2) % 3] = side > 0 ? v : u;
+                    return p;
+                };
+                const a = corner(-0.5, -0.5), b = corner(0.5, -0.5), c = corner(0.5, 0.5), d = corner(-0.5, 0.5);
+                vertices.push(...a, ...b, ...c, ...a, ...c, ...d);
+            }
+        }
+
+        this.addBuffer(vertices, 'position', 3);
+
+    }
+
+}
+
+class MeshInstance {
+
+    // Composition of mesh, shader, and material for rendering
+    // Reusing the same mesh when possible saves on resources
+
+    constructor(mesh, shader, material, name) {
+
+        this.mesh = mesh;
+        this.material = material;
+        this.shader = shader;
+        this.position = vec3.create();
+        this.scale = vec3.fromValues(1, 1, 1);
+        this.rotation = quat.create();
+        this.visible = true;
+        this.name = name;
+
+        // Model-view-projection of the last GBuffer pass and its renderer frame, for velocity
+        this.previousModelViewProjection = null;
+        this.previousFrame = -1;
+
+    }
+
+    setBaseTexture(tex) {
+        this.material.textures.base = tex;
+    }
+
+    setPosition(x, y, z) {
+        vec3.set(this.position, x, y, z);
+    }
+
+    translate(x, y, z) {
+        this.position[0] += x;
+        this.position[1] += y;
+        this.position[2] += z;
+    }
+
+    translateX(x) {
+        this.position[0] += x;
+    }
+
+    translateY(y) {
+        this.position[1] += y;
+    }
+
+    translateX(z) {
+        this.position[2] += z;
+    }
+
+    rotateX(rad) {
+        quat.rotateX(this.rotation, this.rotation, rad);
+    }
+
+    rotateY(rad) {
+        quat.rotateY(this.rotation, this.rotation, rad);
+    }
+
+    rotateZ(rad) {
+        quat.rotateZ(this.rotation, this.rotation, rad);
+    }
+
+    setScale(x, y, z) {
+        vec3.set(this.scale, x, y, z);
+    }
+
+    bind(attributes, shader = this.shader) {
+
+        // Calculate transform matrices
+        const modelMatrix = mat4.create();
+        mat4.fromRotationTranslationScale(modelMatrix, this.rotation, this.position, this.scale);
+        const viewMatrix = attributes.viewMatrix;
+        const modelViewMatrix = mat4.create();
+        mat4.multiply(modelViewMatrix, viewMatrix, modelMatrix);
+
+        // Set shader and uniforms, shadow passes override the shader
+        shader.bind(this.mesh.buffers);
+        shader.setMatrices(attributes.projectionMatrix, modelMatrix, modelViewMatrix);
+        shader.setUniformFloat3(attributes.cameraPosition, 'cameraPosition');
+        this.material.bind(shader);
+
+    }
+
+    bindVelocity(viewProjection, frame, shader = this.shader) {
+
+        // Sets this frame's and last frame's transforms then keeps this one with its frame number.
+        // A new instance, or one skipped last frame, has no usable previous transform and doesn't move
+        const modelViewProjection = mat4.create();
+        mat4.fromRotationTranslationScale(modelViewProjection, this.rotation, this.position, this.scale);
+        mat4.multiply(modelViewProjection, viewProjection, modelViewProjection);
+        const previous = this.previousFrame == frame - 1 ? this.previousModelViewProjection : modelViewProjection;
+
+        shader.setUniformMatrix4(modelViewProjection, 'currentModelViewProjection');
+        shader.setUniformMatrix4(previous, 'previousModelViewProjection');
+        this.previousModelViewProjection = modelViewProjection;
+        this.previousFrame = frame;
+
+    }
+
+    draw() {
+        this.mesh.draw();
+    }
+
+}
+
+class Decal {
+
+    // Box volume projecting a material onto the GBuffer along its local -Z,
+    // the textures cover its XY.  Surfaces fade out between the fade angles
+    // (degrees) of their normal from the box's +Z
+
+    constructor(material, name) {
+        this.material = material;
+        this.name = name;
+        this.position = vec3.create();
+        this.rotation = quat.create();
+        this.scale = vec3.fromValues(1, 1, 1);
+        this.fadeAngles = [60, 80];
+        this.visible = true;
+    }
+
+    setPosition(x, y, z) {
+        vec3.set(this.position, x, y, z);
+    }
+
+    setScale(x, y, z) {
+        vec3.set(this.scale, x, y, z);
+    }
+
+    rotateX(rad) {
+        quat.rotateX(this.rotation, this.rotation, rad);
+    }
+
+    rotateY(rad) {
+        quat.rotateY(this.rotation, this.rotation, rad);
+    }
+
+    rotateZ(rad) {
+        quat.rotateZ(this.rotation, this.rotation, rad);
+    }
+
+    setFade(start, end) {
+        this.fadeAngles = [start, end];
+    }
+
+}
+
+class Light {
+
+    // Simple point light, optionally casting cube map shadows
+
+    constructor(color) {
+        this.type = 'point';
+        this.color = color;
+        this.position = [0.0, 0.0, 0.0];
+        this.attenuation = [0.05, 0.02, 0.01];
+        this.visible = true;
+
+        // Bias is in world units, resolution is per cube face
+        this.castShadow = false;
+        this.shadowBias = 0.5;
+        this.shadowResolution = 512;
+        this.shadowLayer = -1;
+    }
+
+    setColor(color) {
+        this.color = color;
+    }
+
+    setPosition(x, y, z) {
+        this.position = [x, y, z];
+    }
+
+    setAttenuation(constant, linear, quadratic) {
+        this.attenuation = [constant, linear, quadratic];
+    }
+
+    setShadow(castShadow, bias = this.shadowBias, resolution = this.shadowResolution) {
+        // Resolution is uploaded as rendered, so can't exceed a shadow map layer
+        this.castShadow = castShadow;
+        this.shadowBias = bias;
+        this.shadowResolution = Math.min(resolution, SHADOW_MAP_SIZE);
+    }
+
+    getRange(intensity) {
+
+        // Distance at which the attenuated color drops below 1/256,
+        // uses the same falloff as the deferred shader
+        const [c, l, q] = this.attenuation;
+        const k = (Math.max(...this.color) / 255) * 256 / intensity;
+        if (k <= c) return 0;
+        if (q > 0) return (-l + Math.sqrt(l * l - 4 * q * (c - k))) / (2 * q);
+        if (l > 0) return (k - c) / l;
+        return 16000;
+
+    }
+
+    getShadowViews(camera, intensity) {
+
+        // 90 degree faces reaching as far as the light contributes
+        const far = Math.max(this.getRange(intensity), 2.0);
+        const projection = mat4.perspective(mat4.create(), 90 * M_RAD, 1, 1.0, far);
+
+        return CUBE_FACES.map(face => {
+            const center = vec3.add(vec3.create(), this.position, face.dir);
+            return {
+                projectionMatrix: projection,
+                viewMatrix: mat4.lookAt(mat4.create(), this.position, center, face.up),
+                cameraPosition: this.position,
+            };
+        });
+
+    }
+
+    addToBuffer(data, index) {
+
+        // Writes its LIGHT_TEXELS into the clustered light data, type 0 is point
+
+        var shadow = (this.shadowLayer < 0) ? [-1, 0, 0] : [this.shadowLayer, this.shadowBias, this.shadowResolution];
+        data.set([
+            ...this.position, 0,
+            ...this.color, -1,
+            ...this.attenuation, 0,
+            0, 0, 0, 0,
+            ...shadow, 0,
+        ], index * LIGHT_TEXELS * 4);
+
+    }
+
+}
+
+class SpotLight extends Light {
+
+    // Point light limited to a cone, angles are in degrees.
+    // Can project a cookie texture and cast a single shadow map
+
+    constructor(color, direction = [0, -1, 0]) {
+        super(color);
+        this.type = 'spot';
+        this.direction = vec3.create();
+        this.innerAngle = 20;
+        this.outerAngle = 30;
+        this.cookie = -1;
+        this.setDirection(...direction);
+    }
+
+    setDirection(x, y, z) {
+        vec3.normalize(this.direction, vec3.fromValues(x, y, z));
+    }
+
+    setCone(inner, outer) {
+        this.innerAngle = inner;
+        this.outerAngle = outer;
+    }
+
+    setCookie(layer) {
+        this.cookie = layer;
+    }
+
+    getViewProjection(intensity) {
+
+        // Frustum enclosing the cone, used for cookies and shadows
+        const dir = this.direction, center = vec3.add(vec3.create(), this.position, dir);
+        const up = Math.abs(dir[1]) > 0.99 ? [0, 0, 1] : [0, 1, 0];
+        const far = Math.max(this.getRange(intensity), 2.0);
+
+        this.viewMatrix = mat4.lookAt(mat4.create(), this.position, center, up);
+        this.projectionMatrix = mat4.perspective(mat4.create(), clamp(this.outerAngle, 1, 89) * 2 * M_RAD, 1, 1.0, far);
+        return mat4.multiply(mat4.create(), this.projectionMatrix, this.viewMatrix);
+
+    }
+
+    getShadowViews(camera, intensity) {
+
+        this.getViewProjection(intensity);
+        return [{
+            projectionMatrix: this.projectionMatrix,
+            viewMatrix: this.viewMatrix,
+            cameraPosition: this.position,
+        }];
+
+    }
+
+    addToBuffer(data, index, intensity) {
+
+        // Point light texels plus direction, cone cosines, cookie layer, and projection.
+        // Type 1 is spot
+
+        // GUI edits can cross the angles, smoothstep needs inner < outer
+        var outer = clamp(this.outerAngle, 1, 89), inner = clamp(this.innerAngle, 0, outer - 0.1);
+        var shadow = (this.shadowLayer < 0) ? [-1, 0, 0] : [this.shadowLayer, this.shadowBias, this.shadowResolution];
+        data.set([
+            ...this.position, 1,
+            ...this.color, this.cookie,
+            ...this.attenuation, Math.cos(inner * M_RAD),
+            ...this.direction, Math.cos(outer * M_RAD),
+            ...shadow, 0,
+            ...this.getViewProjection(intensity),
+        ], index * LIGHT_TEXELS * 4);
+
+    }
+
+}
+
+class DirectionalLight {
+
+    // Sun light with a direction and no attenuation.  Casts cascaded
+    // shadows split across the frustum of the viewing camera
+
+    constructor(color, direction = [0, -1, 0]) {
+        this.type = 'directional';
+        this.color = color;
+        this.direction = vec3.create();
+        this.intensity = 1.0;
+        this.visible = true;
+        this.setDirection(...direction);
+
+        // Bias is in shadow map texels since each cascade covers a different area
+        this.castShadow = false;
+        this.shadowBias = 1.5;
+        this.shadowResolution = 512;
+        this.shadowLayer = -1;
+
+        // Lambda blends between uniform (0) and logarithmic (1) splits
+        this.cascades = 4;
+        this.shadowDistance = 1000;
+        this.cascadeLambda = 0.75;
+        this.cascadeMatrices = new Float32Array(16 * 4);
+        this.cascadeBias = [0, 0, 0, 0];
+    }
+
+    setColor(color) {
+        this.color = color;
+    }
+
+    setDirection(x, y, z) {
+        vec3.normalize(this.direction, vec3.fromValues(x, y, z));
+    }
+
+    setIntensity(intensity) {
+        this.intensity = intensity;
+    }
+
+    setShadow(castShadow, bias = this.shadowBias, resolution = this.shadowResolution) {
+        // Per cascade, texel snapping and filtering use it so it can't exceed a shadow map layer
+        this.castShadow = castShadow;
+        this.shadowBias = bias;
+        this.shadowResolution = Math.min(resolution, SHADOW_MAP_SIZE);
+    }
+
+    setCascades(count, distance, lambda = this.cascadeLambda) {
+        this.cascades = clamp(count, 1, 4);
+        this.shadowDistance = distance;
+        this.cascadeLambda = lambda;
+    }
+
+    getShadowViews(camera) {
+
+        // Light space is a pure rotation so depth is simply dot(position, direction)
+        const dir = this.direction;
+        const up = Math.abs(dir[1]) > 0.99 ? [0, 0, 1] : [0, 1, 0];
+        const lightView = mat4.lookAt(mat4.create(), [0, 0, 0], dir, up);
+
+        // Practical split scheme between the near plane and shadow distance
+        const n = camera.zNear, f = Math.min(this.shadowDistance, camera.zFar), count = this.cascades;
+        const splits = [n];
+        for (let i = 1; i <= count; i++) {
+            const log = n * Math.pow(f / n, i / count), uni = n + (f - n) * (i / count);
+            splits.push(this.cascadeLambda * log + (1 - this.cascadeLambda) * uni);
+        }
+
+        const tanY = Math.tan(camera.fov * M_RAD * 0.5), tanX = tanY * camera.aspect;
+        // Clamped as renderShadows does, so texel snapping matches the rendered viewport
+        const res = Math.min(this.shadowResolution, SHADOW_MAP_SIZE), views = [];
+
+        for (let i = 0; i < count; i++) {
+
+            // Bounding sphere of the slice keeps its size while the camera rotates
+            const near = splits[i], far = splits[i + 1], mid = (near + far) * 0.5;
+            const radius = Math.max(
+                Math.hypot(near * tanX, near * tanY, mid - near),
+                Math.hypot(far * tanX, far * tanY, far - mid));
+            const center = vec3.transformMat4(vec3.create(), [0, 0, -mid], camera.cameraMatrix);
+
+            // Snap to texels in light space to stop shimmering as the camera moves
+            const texel = 2 * radius / res;
+            vec3.transformMat4(center, center, lightView);
+            center[0] = Math.floor(center[0] / texel) * texel;
+            center[1] = Math.floor(center[1] / texel) * texel;
+
+            // Extend towards the light so casters outside the slice are included
+            const projection = mat4.ortho(mat4.create(),
+                center[0] - radius, center[0] + radius,
+                center[1] - radius, center[1] + radius,
+                -center[2] - radius - this.shadowDistance, -center[2] + radius);
+
+            const viewProjection = mat4.multiply(mat4.create(), projection, lightView);
+            this.cascadeMatrices.set(viewProjection, i * 16);
+            this.cascadeBias[i] = this.shadowBias * texel;
+
+            views.push({
+                projectionMatrix: projection,
+                viewMatrix: lightView,
+                cameraPosition: camera.position,
+            });
+
+        }
+
+        return views;
+
+    }
+
+    addToArray(arr) {
+
+        // Direction, color scaled by intensity, and shadow params
+
+        if (this.visible) {
+            var color = this.color.map(c => c * this.intensity);
+            var shadow = (this.shadowLayer < 0) ? [-1, 0, 0] : [this.shadowLayer, this.cascades, Math.min(this.shadowResolution, SHADOW_MAP_SIZE)];
+            arr.push(...this.direction, ...color, ...shadow);
+            return 1;
+        }
+
+        return 0;
     }
 
 }
 
-class Texture {
+class LightClusters {
 
-    constructor(source, width, height) {
+    // Bins point and spot lights into a grid of screen tiles and
+    // exponential depth slices of the camera frustum.  Lights are
+    // bounded by a sphere of their range and uploaded as textures
 
-        this.name = source;
-        this.index = GL.createTexture();
-        GL.bindTexture(GL.TEXTURE_2D, this.index);
+    constructor(tilesX, tilesY, slices) {
 
+        this.grid = [tilesX, tilesY, slices];
+        this.maxLights = Math.min(4096, GL.getParameter(GL.MAX_TEXTURE_SIZE));
+        this.count = 0;
 
-        // Boilerplate code for making either a normal texture or FBO attachement
-        if (source == 'buffer') {
-            GL.texImage2D(GL.TEXTURE_2D, 0, GL.RGBA32F, width, height, 0, GL.RGBA, GL.FLOAT, null);
-            GL.texParameteri(GL.TEXTURE_2D, GL.TEXTURE_MIN_FILTER, GL.NEAREST);
-            GL.texParameteri(GL.TEXTURE_2D, GL.TEXTURE_MAG_FILTER, GL.NEAREST);
-            GL.bindTexture(GL.TEXTURE_2D, null);
-        }
-        else {
-            GL.texImage2D(GL.TEXTURE_2D, 0, GL.RGBA, 1, 1, 0, GL.RGBA, GL.UNSIGNED_BYTE, new Uint8Array([0, 0, 255, 255]));
-            const img = new Image();
-            img.src = source;
-            img.onload = () => {
-                GL.bindTexture(GL.TEXTURE_2D, this.index);
-                GL.texImage2D(GL.TEXTURE_2D, 0, GL.RGBA, GL.RGBA, GL.UNSIGNED_BYTE, img);
-                GL.generateMipmap(GL.TEXTURE_2D);
-                GL.texParameteri(GL.TEXTURE_2D, GL.TEXTURE_MIN_FILTER, GL.LINEAR_MIPMAP_LINEAR);
-                GL.texParameteri(GL.TEXTURE_2D, GL.TEXTURE_MAG_FILTER, GL.LINEAR);
-                GL.bindTexture(GL.TEXTURE_2D, null);
-            };
-        }
+        const clusters = tilesX * tilesY * slices;
+        this.lightBuffer = new Float32Array(this.maxLights * LIGHT_TEXELS * 4);
+        this.clusterBuffer = new Uint32Array(clusters * 2);
+        this.counts = new Uint32Array(clusters);
+        this.bounds = new Int32Array(this.maxLights * 7);
+
+        // WebGL2 only guarantees 2048 texels a side, which also caps the rows
+        this.indexWidth = Math.min(4096, GL.getParameter(GL.MAX_TEXTURE_SIZE));
+        this.maxIndexRows = GL.getParameter(GL.MAX_TEXTURE_SIZE);
+        this.indexRows = 1;
+        this.indexBuffer = new Uint32Array(this.indexWidth);
+
+        // Light data, one light per row
+        this.lightData = this.createTexture(GL.RGBA32F, LIGHT_TEXELS, this.maxLights, GL.RGBA, GL.FLOAT);
+
+        // Offset/count into the index list per cluster
+        this.clusterData = this.createTexture(GL.RG32UI, tilesX * tilesY, slices, GL.RG_INTEGER, GL.UNSIGNED_INT);
+
+        // Index list, grows as needed
+        this.lightIndices = this.createTexture(GL.R32UI, this.indexWidth, this.indexRows, GL.RED_INTEGER, GL.UNSIGNED_INT);
 
     }
 
-    bind(position) {
+    createTexture(internalFormat, width, height, format, type) {
 
-        GL.activeTexture(GL.TEXTURE0 + position);
-        GL.bindTexture(GL.TEXTURE_2D, this.index);
+        const tex = GL.createTexture();
+        GL.bindTexture(GL.TEXTURE_2D, tex);
+        GL.texImage2D(GL.TEXTURE_2D, 0, internalFormat, width, height, 0, format, type, null);
+        GL.texParameteri(GL.TEXTURE_2D, GL.TEXTURE_MIN_FILTER, GL.NEAREST);
+        GL.texParameteri(GL.TEXTURE_2D, GL.TEXTURE_MAG_FILTER, GL.NEAREST);
+        GL.bindTexture(GL.TEXTURE_2D, null);
+        return tex;
 
     }
 
-}
+    update(lights, camera, intensity, volumes) {
 
-class Mesh {
+        // With volumes, point lights are only written to the light data
+        // and listed in this.volumes for drawing as bounding spheres
 
-    // Store vertex buffers of geometric data
+        const [X, Y, Z] = this.grid, bounds = this.bounds, counts = this.counts;
+        const view = camera.viewMatrix, proj = camera.projectionMatrix;
+        const near = camera.zNear, far = camera.zFar, depthScale = Z / Math.log(far / near);
+        const slice = z => clamp(Math.floor(Math.log(Math.max(z, near) / near) * depthScale), 0, Z - 1);
+        const tile = (ndc, n) => clamp(Math.floor((ndc * 0.5 + 0.5) * n), 0, n - 1);
+        const center = vec3.create();
 
-    constructor() {
-        this.buffers = {};
-    }
+        counts.fill(0);
+        this.count = 0;
+        this.volumes = [];
+        var binned = 0;
+        this.depth = [near, depthScale];
+        this.view = view;
 
-    addBuffer(vertices, name, size) {
+        for (let l in lights) {
 
-        var buff = GL.createBuffer();
+            const light = lights[l];
+            if (!light.visible || light.type == 'directional') continue;
+            if (this.count >= this.maxLights) break;
+
+            // View space bounding sphere
+            const range = light.getRange(intensity);
+            vec3.transformMat4(center, light.position, view);
+            const zMin = -center[2] - range, zMax = -center[2] + range;
+            if (range <= 0 || zMax < near || zMin > far) continue;
+
+            if (volumes && light.type == 'point') {
+                this.volumes.push({ light: light, index: this.count, range: range });
+                light.addToBuffer(this.lightBuffer, this.count++, intensity);
+                continue;
+            }
+
+            // Screen bounds from the sphere's box, whole screen when it crosses the near plane
+            var x0 = 0, x1 = X - 1, y0 = 0, y1 = Y - 1;
+            if (zMin > near) {
+
+                var minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+                for (const z of [zMin, zMax]) {
+                    for (const dx of [-range, range]) {
+                        const ndc = proj[0] * (center[0] + dx) / z;
+                        minX = Math.min(minX, ndc);
+                        maxX = Math.max(maxX, ndc);
+                    }
+                    for (const dy of [-range, range]) {
+                        const ndc = proj[5] * (center[1] + dy) / z;
+                        minY = Math.min(minY, ndc);
+                        maxY = Math.max(maxY, ndc);
+                    }
+                }
+
+                if (maxX < -1 || minX > 1 || maxY < -1 || minY > 1) continue;
+                x0 = tile(minX, X); x1 = tile(maxX, X);
+                y0 = tile(minY, Y); y1 = tile(maxY, Y);
+
+            }
+
+            const z0 = slice(zMin), z1 = slice(zMax);
+            bounds.set([this.count, x0, x1, y0, y1, z0, z1], binned++ * 7);
+
+            for (let z = z0; z <= z1; z++)
+                for (let y = y0; y <= y1; y++)
+                    for (let x = x0; x <= x1; x++)
+                        counts[x + y * X + z * X * Y]++;
+
+            light.addToBuffer(this.lightBuffer, this.count++, intensity);
 
-        // Check if this buffer uses draw elements or array
-        if (name == 'index') {
-            GL.bindBuffer(GL.ELEMENT_ARRAY_BUFFER, buff);
-            GL.bufferData(GL.ELEMENT_ARRAY_BUFFER, new Uint16Array(vertices), GL.STATIC_DRAW);
-        } else {
-            GL.bindBuffer(GL.ARRAY_BUFFER, buff);
-            GL.bufferData(GL.ARRAY_BUFFER, new Float32Array(vertices), GL.STATIC_DRAW);
         }
 
-        buff.itemSize = size;
-        buff.numItems = vertices.length / size;
-        this.buffers[name] = buff;
+        // Offsets into the index list, then fill it using the counts as cursors.
+        // Clusters past what the largest index texture holds keep fewer lights
+        var total = 0;
+        const capacity = this.indexWidth * this.maxIndexRows;
+        for (let c = 0; c < counts.length; c++) {
+            const count = Math.min(counts[c], capacity - total);
+            this.clusterBuffer[c * 2] = total;
+            this.clusterBuffer[c * 2 + 1] = count;
+            total += count;
+            counts[c] = 0;
+        }
 
-    }
+        this.reserveIndices(total);
+        for (let i = 0; i < binned; i++) {
+            const [index, x0, x1, y0, y1, z0, z1] = bounds.subarray(i * 7, i * 7 + 7);
+            for (let z = z0; z <= z1; z++)
+                for (let y = y0; y <= y1; y++)
+                    for (let x = x0; x <= x1; x++) {
+                        const c = x + y * X + z * X * Y;
+                        if (counts[c] < this.clusterBuffer[c * 2 + 1]) this.indexBuffer[this.clusterBuffer[c * 2] + counts[c]++] = index;
+                    }
+        }
 
-    draw() {
-        GL.drawArrays(GL.TRIANGLES, 0, this.buffers.position.numItems);
-    }
+        // Upload
+        GL.bindTexture(GL.TEXTURE_2D, this.clusterData);
+        GL.texSubImage2D(GL.TEXTURE_2D, 0, 0, 0, X * Y, Z, GL.RG_INTEGER, GL.UNSIGNED_INT, this.clusterBuffer);
 
-}
+        if (this.count) {
+            GL.bindTexture(GL.TEXTURE_2D, this.lightData);
+            GL.texSubImage2D(GL.TEXTURE_2D, 0, 0, 0, LIGHT_TEXELS, this.count, GL.RGBA, GL.FLOAT, this.lightBuffer);
+        }
 
-class Quad extends Mesh {
+        if (total) {
+            const rows = Math.ceil(total / this.indexWidth);
+            GL.bindTexture(GL.TEXTURE_2D, this.lightIndices);
+            GL.texSubImage2D(GL.TEXTURE_2D, 0, 0, 0, this.indexWidth, rows, GL.RED_INTEGER, GL.UNSIGNED_INT, this.indexBuffer);
+        }
 
-    // Useful for drawing fullscreen image or the Gbuffer contents
+        GL.bindTexture(GL.TEXTURE_2D, null);
 
-    constructor() {
+    }
 
-        super();
+    reserveIndices(total) {
 
-        this.addBuffer(
-            [
-                -0.5, -0.5, 1.0,
-                0.5, -0.5, 1.0,
-                0.5, 0.5, 1.0,
-                -0.5, 0.5, 1.0,
-            ], 'position', 3);
+        // Double the index texture rows until the list fits, update caps the total at the largest
+        if (total <= this.indexWidth * this.indexRows) return;
 
-        this.addBuffer(
-            [
-                0.0, 0.0,
-                1.0, 0.0,
-                1.0, 1.0,
-                0.0, 1.0,
-            ], 'uv', 2);
+        while (total > this.indexWidth * this.indexRows) this.indexRows *= 2;
+        this.indexRows = Math.min(this.indexRows, this.maxIndexRows);
+        this.indexBuffer = new Uint32Array(this.indexWidth * this.indexRows);
 
-        this.addBuffer(
-            [
-                0, 1, 2,
-                0, 2, 3,
-            ], 'index', 1);
+        GL.bindTexture(GL.TEXTURE_2D, this.lightIndices);
+        GL.texImage2D(GL.TEXTURE_2D, 0, GL.R32UI, this.indexWidth, this.indexRows, 0, GL.RED_INTEGER, GL.UNSIGNED_INT, null);
+        GL.bindTexture(GL.TEXTURE_2D, null);
 
     }
 
-    draw() {
-        GL.drawElements(GL.TRIANGLES, this.buffers.index.numItems, GL.UNSIGNED_SHORT, 0);
+    bind(shader, position) {
+
+        // Uses three texture units starting at position
+        const textures = [this.lightData, this.clusterData, this.lightIndices];
+        const names = ['lightData', 'clusterData', 'lightIndices'];
+        for (let t = 0; t < 3; t++) {
+            GL.activeTexture(GL.TEXTURE0 + position + t);
+            GL.bindTexture(GL.TEXTURE_2D, textures[t]);
+            GL.uniform1i(shader.uniforms[names[t]], position + t);
+        }
+
+        shader.setUniformFloat3(this.grid, 'clusterGrid');
+        shader.setUniformFloat2(this.depth, 'clusterDepth');
+        shader.setUniformMatrix4(this.view, 'view');
+
     }
 
 }
 
-class MeshInstance {
+class PostProcessPass {
 
-    // Composition of mesh, shader, and material for rendering
-    // Reusing the same mesh when possible saves on resources
+    // A fullscreen fragment shader and its uniforms.  Uniform values are
+    // numbers, arrays, textures, or functions returning one of those
+    // which are called every frame.  Setters come from the linked
+    // program's active uniforms so ints, floats, and vectors are told apart
 
-    constructor(mesh, shader, material, name) {
+    constructor(name, fragment, uniforms = {}, defines = []) {
 
-        this.mesh = mesh;
-        this.material = material;
-        this.shader = shader;
-        this.position = vec3.create();
-        this.scale = vec3.fromValues(1, 1, 1);
-        this.rotation = quat.create();
-        this.visible = true;
         this.name = name;
+        this.enabled = true;
+        this.uniforms = uniforms;
+        this.shader = new GLShader(postprocess_vertex, fragment, defines);
+
+        const setters = {};
+        for (const type in UNIFORM_SETTERS) setters[GL[type]] = UNIFORM_SETTERS[type];
+
+        this.setters = {};
+        const count = GL.getProgramParameter(this.shader.program, GL.ACTIVE_UNIFORMS);
+        for (let i = 0; i < count; i++) {
+            const info = GL.getActiveUniform(this.shader.program, i);
+            this.setters[info.name.replace('[0]', '')] = setters[info.type];
+        }
 
-    }
+        for (const u of ['view', 'cameraProjection', 'inverseViewProjection']) this.shader.addUniform(u);
+        for (const u in uniforms) this.shader.addUniform(u);
 
-    setBaseTexture(tex) {
-        this.material.textures.base = tex;
     }
 
-    setPosition(x, y, z) {
-        vec3.set(this.position, x, y, z);
-    }
+    setUniform(name, value) {
 
-    translate(x, y, z) {
-        this.position[0] += x;
-        this.position[1] += y;
-        this.position[2] += z;
-    }
+        if (!(name in this.shader.uniforms)) this.shader.addUniform(name);
+        this.uniforms[name] = value;
 
-    translateX(x) {
-        this.position[0] += x;
     }
 
-    translateY(y) {
-        this.position[1] += y;
-    }
+    bind(unit) {
 
-    translateX(z) {
-        this.position[2] += z;
-    }
+        // Textures take units upwards from unit
+        for (const name in this.uniforms) {
+            let value = this.uniforms[name];
+            if (typeof value == 'function') value = value();
+            if (value instanceof Texture) this.shader.setUniformTexture(value, unit++, name);
+            else if (this.setters[name]) this.shader[this.setters[name]](value, name);
+        }
 
-    rotateX(rad) {
-        quat.rotateX(this.rotation, this.rotation, rad);
     }
 
-    rotateY(rad) {
-        quat.rotateY(this.rotation, this.rotation, rad);
-    }
+}
 
-    rotateZ(rad) {
-        quat.rotateZ(this.rotation, this.rotation, rad);
-    }
+class PostProcessStack {
 
-    setScale(x, y, z) {
-        vec3.set(this.scale, x, y, z);
-    }
+    // Ordered passes drawn one after another between two ping-pong
+    // HDR targets, the last enabled pass draws to the screen.  Passes
+    // are found by name to toggle (pass.enabled), move, or remove them
 
-    bind(attributes) {
+    constructor(renderer) {
 
-        // Calculate transform matrices
-        const modelMatrix = mat4.create();
-        mat4.fromRotationTranslationScale(modelMatrix, this.rotation, this.position, this.scale);
-        const viewMatrix = attributes.viewMatrix;
-        const modelViewMatrix = mat4.create();
-        mat4.multiply(modelViewMatrix, viewMatrix, modelMatrix);
+        this.renderer = renderer;
+        this.passes = [];
+        this.layout = renderer.compactGBuffer ? ['COMPACT_GBUFFER'] : [];
 
-        // Set shader and uniforms
-        this.shader.bind(this.mesh.buffers);
-        this.shader.setMatrices(attributes.projectionMatrix, modelMatrix, modelViewMatrix);
-        this.shader.setUniformFloat3(attributes.cameraPosition, 'cameraPosition');
-        this.material.bind(this.shader);
+        // GBuffer textures take the first units, the previous pass' output follows
+        this.quad = new MeshInstance(new Quad(), renderer.shaders.passthrough, renderer.gBuffer.material);
+        this.inputUnit = 5;
 
-    }
+        this.targets = [0, 1].map(i => renderer.addRenderTarget('post_' + i, ['RGBA16F'], { filter: GL.LINEAR }));
 
-    draw() {
-        this.mesh.draw();
     }
 
-}
+    add(name, fragment, uniforms = {}, index = this.passes.length) {
 
-class Light {
+        // Compiled for the GBuffer layout so passes can include gbuffer_read
+        const pass = new PostProcessPass(name, fragment, uniforms, this.layout);
+        this.passes.splice(index, 0, pass);
+        return pass;
 
-    // Simple point light
+    }
 
-    constructor(color) {
-        this.color = color;
-        this.position = [0.0, 0.0, 0.0];
-        this.attenuation = [0.05, 0.02, 0.01];
-        this.visible = true;
+    get(name) {
+        return this.passes.find(p => p.name == name);
     }
 
-    setColor(color) {
-        this.color = color;
+    indexOf(name) {
+        return this.passes.findIndex(p => p.name == name);
     }
 
-    setPosition(x, y, z) {
-        this.position = [x, y, z];
+    remove(name) {
+
+        const index = this.indexOf(name);
+        if (index < 0) return null;
+        return this.passes.splice(index, 1)[0];
+
     }
 
-    setAttenuation(constant, linear, quadratic) {
-        this.attenuation = [constant, linear, quadratic];
+    move(name, index) {
+
+        const pass = this.remove(name);
+        if (pass) this.passes.splice(index, 0, pass);
+        return pass;
+
     }
 
-    addToArray(arr) {
+    render(source) {
 
-        // Places its attributes sequentially into a flattened array
+        const renderer = this.renderer, camera = renderer.camera, q = this.quad;
+        const passes = this.passes.filter(p => p.enabled);
+        const postAtt = {};
+        renderer.postCamera.update(postAtt);
+        postAtt['cameraPosition'] = camera.position;
+        const inverseViewProjection = camera.getInverseViewProjection();
+
+        GL.disable(GL.DEPTH_TEST);
+        GL.disable(GL.CULL_FACE);
+        q.setScale(window.innerWidth, window.innerHeight, 1);
+        q.setPosition(0, 0, 0);
+
+        // Nothing enabled copies the source straight to the screen
+        if (passes.length == 0) {
+            GL.bindFramebuffer(GL.FRAMEBUFFER, null);
+            GL.viewport(0, 0, canvas.width, canvas.height);
+            GL.clear(GL.COLOR_BUFFER_BIT | GL.DEPTH_BUFFER_BIT);
+            q.bind(postAtt);
+            q.shader.setUniformTexture(source, this.inputUnit, 'base');
+            q.draw();
+            return;
+        }
+
+        for (let i = 0; i < passes.length; i++) {
+
+            const pass = passes[i], shd = pass.shader, last = i == passes.length - 1;
+            const target = this.targets[i % 2];
+            if (last) {
+                GL.bindFramebuffer(GL.FRAMEBUFFER, null);
+                GL.viewport(0, 0, canvas.width, canvas.height);
+                GL.clear(GL.COLOR_BUFFER_BIT | GL.DEPTH_BUFFER_BIT);
+            } else {
+                target.bind();
+            }
+
+            q.bind(postAtt, shd);
+            shd.setUniformTexture(source, this.inputUnit, 'base');
+            shd.setUniformMatrix4(camera.viewMatrix, 'view');
+            shd.setUniformMatrix4(camera.projectionMatrix, 'cameraProjection');
+            shd.setUniformMatrix4(inverseViewProjection, 'inverseViewProjection');
+            pass.bind(this.inputUnit + 1);
+            q.draw();
+
+            source = target.texture;
 
-        if (this.visible) {
-            arr.push(...this.position, ...this.color, ...this.attenuation);
-            return 1;
         }
 
-        return 0;
     }
 
 }
 
 class GLShader {
 
-    constructor(vertSource, fragSource) {
-        this.init(vertSource, fragSource);
+    constructor(vertSource, fragSource, defines = []) {
+
+        // Defines go right after the version directive of both stages
+        const define = src => src.replace(/(#version[^\n]*\n)/, '$1' + defines.map(d => '#define ' + d + '\n').join(''));
+        this.init(define(vertSource), define(fragSource));
+
     }
 
     init(vertSource, fragSource) {
@@ -595,6 +2926,11 @@ class GLShader {
             material: GL.getUniformLocation(this.program, 'materialTexture'),
             base: GL.getUniformLocation(this.program, 'baseTexture'),
             position: GL.getUniformLocation(this.program, 'positionTexture'),
+            depth: GL.getUniformLocation(this.program, 'depthTexture'),
+            emissive: GL.getUniformLocation(this.program, 'emissiveTexture'),
+            emissiveColor: GL.getUniformLocation(this.program, 'emissiveColor'),
+            opacity: GL.getUniformLocation(this.program, 'opacity'),
+            alphaCutoff: GL.getUniformLocation(this.program, 'alphaCutoff'),
 
         }
 
@@ -628,6 +2964,18 @@ class GLShader {
         GL.uniformMatrix4fv(this.uniforms.modelViewMatrix, false, modelView);
     }
 
+    setUniformInt(value, name) {
+        GL.uniform1i(this.uniforms[name], value);
+    }
+
+    setUniformFloat(value, name) {
+        GL.uniform1f(this.uniforms[name], value);
+    }
+
+    setUniformFloat2(value, name) {
+        GL.uniform2fv(this.uniforms[name], value);
+    }
+
     setUniformFloat3(value, name) {
         GL.uniform3fv(this.uniforms[name], value);
     }
@@ -636,6 +2984,16 @@ class GLShader {
         GL.uniform4fv(this.uniforms[name], value);
     }
 
+    setUniformMatrix4(value, name) {
+        GL.uniformMatrix4fv(this.uniforms[name], false, value);
+    }
+
+    setUniformTexture(texture, position, name) {
+        // Textures bound outside of a material, position should follow the material's
+        texture.bind(position);
+        GL.uniform1i(this.uniforms[name], position);
+    }
+
     setAttribPosition(buffer) {
         GL.vertexAttribPointer(this.attribs.position, buffer.itemSize, GL.FLOAT, false, 0, 0);
         GL.vertexAttribPointer(this.attribs.uv, buffer.itemSize, GL.FLOAT, false, 0, 0);
@@ -702,6 +3060,15 @@ class Camera {
 
     }
 
+    getInverseViewProjection() {
+
+        // Clip space to world, used to rebuild positions from depth
+        const invViewProj = mat4.create();
+        mat4.multiply(invViewProj, this.projectionMatrix, this.viewMatrix);
+        return mat4.invert(invViewProj, invViewProj);
+
+    }
+
 }
 
 class PerspectiveCamera extends Camera {
@@ -712,8 +3079,19 @@ class PerspectiveCamera extends Camera {
 
         super();
         this.aspect = window.innerWidth / window.innerHeight;
+        this.jitter = [0, 0];
+        this.unjitteredProjection = mat4.create();
         this.setPerspective(fov, zNear, zFar)
 
+        // Lens for depth of field, focal length and sensor height are in millimetres
+        // and unitScale is the millimetres of one world unit
+        this.focusDistance = 300;
+        this.fStop = 2.8;
+        this.focalLength = 50;
+        this.sensorHeight = 24;
+        this.unitScale = 10;
+        this.apertureBlades = 6;
+
     }
 
     addOrbitController(canvas, boomLength) {
@@ -739,13 +3117,47 @@ class PerspectiveCamera extends Camera {
         this.fov = fov;
         this.zNear = zNear;
         this.zFar = zFar;
-        mat4.perspective(this.projectionMatrix, fov * M_RAD, this.aspect, zNear, zFar);
+        this.updateProjection();
+
+    }
+
+    setLens(focalLength, fStop, focusDistance) {
+
+        this.focalLength = focalLength;
+        this.fStop = fStop;
+        this.focusDistance = focusDistance;
+
+    }
+
+    getCircleOfConfusionScale(height) {
+
+        // Thin lens CoC of a point at infinity, in pixels of a screen height tall
+        const f = this.focalLength, focus = this.focusDistance * this.unitScale;
+        return (f / this.fStop) * f / Math.max(focus - f, 0.001) / this.sensorHeight * height;
+
+    }
+
+    setJitter(x, y) {
+
+        // Offset of the projection in pixels, for TAA
+        this.jitter = [x, y];
+        this.updateProjection();
+
+    }
+
+    updateProjection() {
+
+        // The jitter shifts clip space, x and y are scaled by w so the offset is constant in NDC
+        mat4.perspective(this.unjitteredProjection, this.fov * M_RAD, this.aspect, this.zNear, this.zFar);
+        mat4.copy(this.projectionMatrix, this.unjitteredProjection);
+        this.projectionMatrix[8] += this.jitter[0] * 2 / window.innerWidth;
+        this.projectionMatrix[9] += this.jitter[1] * 2 / window.innerHeight;
 
     }
 
     onWindowResize() {
         this.aspect = window.innerWidth / window.innerHeight;
-        mat4.perspective(this.projectionMatrix, this.fov * M_RAD, this.aspect, this.zNear, this.zFar);
+        this.updateProjection();
     }
 
     getUpVector() {
@@ -1177,4 +3589,108 @@ function loadOBJ(OBJString) {
         count: polyCount,
     }
 
+}
+
+function loadHDR(buffer) {
+
+    /* Parses a Radiance .hdr (RGBE) image into RGBA floats,
+     * rows are top to bottom.  Supports flat and run length
+     * encoded scanlines, assumes the standard -Y +X orientation.
+     */
+
+    const bytes = new Uint8Array(buffer);
+    var pos = 0;
+    const readLine = () => {
+        var line = '';
+        while (pos < bytes.length && bytes[pos] != 10) line += String.fromCharCode(bytes[pos++]);
+        pos++;
+        return line;
+    }
+
+    // *** Header, ends at an empty line before the resolution *** //
+    if (!readLine().startsWith('#?')) throw new Error("Not a Radiance HDR file");
+    for (let line = readLine(); line.trim() != ''; line = readLine()) {
+        if (line.startsWith('FORMAT') && line.indexOf('32-bit_rle_rgbe') == -1) throw new Error("Unsupported format " + line);
+    }
+
+    const size = /^-Y (\d+) \+X (\d+)$/.exec(readLine().trim());
+    if (!size) throw new Error("Unsupported orientation");
+    const height = Number(size[1]), width = Number(size[2]);
+
+    // *** Scanlines, RLE ones start with 2, 2 and the width *** //
+    const data = new Float32Array(width * height * 4), scan = new Uint8Array(width * 4);
+    for (let y = 0; y < height; y++) {
+
+        const rle = width >= 8 && width < 32768 && bytes[pos] == 2 && bytes[pos + 1] == 2 && ((bytes[pos + 2] << 8) | bytes[pos + 3]) == width;
+
+        if (!rle) {
+            if (pos + width * 4 > bytes.length) throw new Error("Truncated scanline " + y);
+            scan.set(bytes.subarray(pos, pos + width * 4));
+            pos += width * 4;
+        } else {
+            // Each channel is encoded separately as runs or literal spans, a bad count would never end the line
+            pos += 4;
+            for (let c = 0; c < 4; c++) {
+                for (let x = 0; x < width;) {
+                    if (pos >= bytes.length) throw new Error("Truncated scanline " + y);
+                    var count = bytes[pos++];
+                    const run = count > 128;
+                    if (run) count -= 128;
+                    if (count == 0 || x + count > width) throw new Error("Bad run length in scanline " + y);
+                    if (pos + (run ? 1 : count) > bytes.length) throw new Error("Truncated scanline " + y);
+                    if (run) {
+                        const value = bytes[pos++];
+                        while (count--) scan[(x++) * 4 + c] = value;
+                    } else {
+                        while (count--) scan[(x++) * 4 + c] = bytes[pos++];
+                    }
+                }
+            }
+        }
+
+        // Shared exponent to floats
+        for (let x = 0; x < width; x++) {
+            const e = scan[x * 4 + 3], i = (y * width + x) * 4;
+            const f = e ? Math.pow(2, e - 136) : 0;
+            data[i] = scan[x * 4] * f;
+            data[i + 1] = scan[x * 4 + 1] * f;
+            data[i + 2] = scan[x * 4 + 2] * f;
+            data[i + 3] = 1.0;
+        }
+
+    }
+
+    return { width: width, height: height, data: data };
+
+}
+
+function loadCUBE(CUBEString) {
+
+    /* Parses an Adobe/Resolve .cube 3D lookup table into RGBA
+     * floats, red changing fastest then green then blue.  1D
+     * tables aren't supported.
+     */
+
+    var size = 0, domainMin = [0, 0, 0], domainMax = [1, 1, 1];
+    const values = [];
+
+    // *** Keywords come before the table, a line of three numbers is an entry *** //
+    for (let line of CUBEString.split("\n")) {
+
+        line = line.trim();
+        if (!line || line.startsWith("#")) continue;
+
+        const tokens = line.split(/\s+/);
+        if (tokens[0] == 'LUT_3D_SIZE') size = Number(tokens[1]);
+        else if (tokens[0] == 'LUT_1D_SIZE') throw new Error("1D tables are unsupported");
+        else if (tokens[0] == 'DOMAIN_MIN') domainMin = tokens.slice(1, 4).map(Number);
+        else if (tokens[0] == 'DOMAIN_MAX') domainMax = tokens.slice(1, 4).map(Number);
+        else if (/^[-+.\d]/.test(tokens[0])) values.push(Number(tokens[0]), Number(tokens[1]), Number(tokens[2]), 1.0);
+
+    }
+
+    if (size < 2 || values.length != size * size * size * 4) throw new Error("Expected " + size + "^3 entries, found " + values.length / 4);
+
+    return { size: size, domainMin: domainMin, domainMax: domainMax, data: new Float32Array(values) };
+
 }
\ No newline at end of file
@@ -10,7 +10,9 @@
  *          has a GUI to adjust lights animation.
  */
 
-let renderer = new Renderer();
+// '?compact' in the URL uses the compact GBuffer layout
+const compactGBuffer = new URLSearchParams(window.location.search).has('compact');
+let renderer = new Renderer(compactGBuffer);
 let scene = renderer.scene;
 renderer.camera.addOrbitController(canvas, 300);
 
@@ -19,7 +21,8 @@ renderer.camera.addOrbitController(canvas, 300);
 renderer.createMaterial('res/panel_albedo.png', 'res/panel_normal.png', 'res/panel_material.png', 'panel');
 renderer.createMaterial('res/celtic_albedo.png', 'res/celtic_normal.png', 'res/celtic_material.png', 'celtic');
 renderer.createMaterial('res/stone_albedo.png', 'res/stone_normal.png', 'res/stone_material.png', 'stone');
-renderer.createMaterial('res/lava_albedo.png', 'res/lava_normal.png', 'res/lava_material.png', 'lava');
+renderer.createMaterial('res/lava_albedo.png', 'res/lava_normal.png', 'res/lava_material.png', 'lava')
+    .setEmissive([255, 110, 40], 1.5, renderer.textures['res/lava_albedo.png']);
 renderer.createMaterial('res/pirate_albedo.png', 'res/pirate_normal.png', 'res/pirate_material.png', 'pirate');
 renderer.createMaterial('res/wood_albedo.png', 'res/wood_normal.png', 'res/wood_material.png', 'wood');
 renderer.createMaterial('res/helmet_albedo.png', 'res/helmet_normal.png', 'res/helmet_material.png', 'helmet');
@@ -27,6 +30,23 @@ renderer.createMaterial('res/bball_albedo.png', 'res/bball_normal.png', 'res/bba
 renderer.createMaterial('res/mug_albedo.png', 'res/mug_normal.png', 'res/mug_material.png', 'mug');
 renderer.createMaterial('res/mjolnir_albedo.png', 'res/mjolnir_normal.png', 'res/mjolnir_material.png', 'mjolnir');
 
+// Image based ambient light, the flat ambient is used until it has loaded
+renderer.setEnvironment('res/environment.hdr', 1.0, 0);
+
+// Sky gradient behind the scene, 'Environment' in the GUI switches to the HDR
+scene.setBackgroundGradient([120, 160, 220], [40, 36, 32]);
+
+// Haze thickening towards the bottom of the scene, blends into the sky gradient
+scene.setFog([90, 100, 120], 0.0015, 150, 0.01, -100);
+
+// Translucent panel reusing the panel textures, drawn in the forward pass
+const glass = new Material(renderer.textures['res/panel_albedo.png'], renderer.textures['res/panel_normal.png'], renderer.textures['res/panel_material.png']);
+glass.setTransparent(0.35);
+renderer.materials['glass'] = glass;
+
+// Custom post processing pass after tone mapping, toggled in the GUI
+renderer.postProcess.add('vignette', vignette_fragment, { strength: 1.0 }).enabled = false;
+
 // *** Create geometry *** //
 
 var cubeMesh = new Mesh();
@@ -77,7 +97,8 @@ let pirate = scene.addMesh(cubeMesh, shd, mats.pirate, 'Pirate'),
     helmet = scene.addMesh(helmetMesh, shd, mats.helmet, 'Helmet'),
     bball = scene.addMesh(bballMesh, shd, mats.bball, 'Basketball'),
     mug = scene.addMesh(mugMesh, shd, mats.mug, 'Mug'),
-    mjolnir = scene.addMesh(mjolnirMesh, shd, mats.mjolnir, 'Mjolnir');
+    mjolnir = scene.addMesh(mjolnirMesh, shd, mats.mjolnir, 'Mjolnir'),
+    glassPanel = scene.addMesh(cubeMesh, shd, mats.glass, 'Glass');
 
 
 var yOff = 60; // Rows of objects on y-axis
@@ -117,6 +138,15 @@ mug.setScale(12, 12, 12);
 mjolnir.translate(50, -20, 0);
 mjolnir.setScale(300, 300, 300);
 
+// Celtic pattern projected onto the front of the stone sphere
+let decal = scene.addDecal(mats.celtic, 'Decal');
+decal.setPosition(0, -yOff, ss);
+decal.setScale(50, 50, 40);
+
+// Glass pane in front of the middle row
+glassPanel.translate(0, 0, 90);
+glassPanel.setScale(40, 25, 1);
+
 // *** Setup lighting *** //
 
 let lights = [
@@ -131,6 +161,28 @@ lights[1].setPosition(-50, 0, 0);
 lights[2].setPosition(0, 0, 50);
 lights[3].setPosition(50, 0, 0);
 
+for (let light of lights) light.setShadow(true);
+
+let sun = scene.addDirectionalLight([255, 244, 229], [-0.4, -1.0, -0.6]);
+sun.setIntensity(0.6);
+sun.setShadow(true);
+
+// Stage light over the helmet
+let spot = scene.addSpotLight([255, 230, 180], [0, -1, -0.3]);
+spot.setPosition(-50, 150, 60);
+spot.setCone(15, 25);
+spot.setShadow(true);
+
+// Swarm of small dim lights, shows off the clustered light culling
+let swarm = [];
+for (let i = 0; i < 1000; i++) {
+    const light = scene.addLight([20 + Math.random() * 60, 20 + Math.random() * 60, 20 + Math.random() * 60]);
+    light.setPosition((Math.random() - 0.5) * 500, (Math.random() - 0.5) * 240, (Math.random() - 0.5) * 300);
+    light.setAttenuation(1.0, 0.5, 2.0);
+    light.visible = false;
+    swarm.push(light);
+}
+
 
 // ** Setup GUI *** //
 
@@ -140,12 +192,60 @@ let controls = {
     animateSpeed: 1,
     lightAmbience: 0.5,
     lightIntensity: 0.8,
+    swarm: false,
 
 }
 
 var attributes = renderer.attributes, meshes = scene.meshes;
 const gui = new dat.GUI();
 gui.add(attributes, 'drawGbuffer').name('G-Buffer');
+gui.add(attributes, 'lightVolumes').name('Light volumes');
+gui.add(attributes, 'antiAliasing', { None: 'none', FXAA: 'fxaa', TAA: 'taa' }).name('Anti-aliasing');
+gui.add({ compactGBuffer: compactGBuffer }, 'compactGBuffer').name('Compact G-Buffer').onChange(on => {
+    window.location.search = on ? '?compact' : '';
+});
+
+const folderBloom = gui.addFolder('Bloom');
+folderBloom.add(attributes, 'bloom').name('On');
+folderBloom.add(attributes, 'bloomThreshold', 0.0, 4.0).name('Threshold');
+folderBloom.add(attributes, 'bloomIntensity', 0.0, 1.0).name('Intensity');
+folderBloom.add(attributes, 'bloomRadius', 0.5, 4.0).name('Radius');
+
+const folderToneMapping = gui.addFolder('Tone mapping');
+folderToneMapping.add(attributes, 'toneMapping', { Reinhard: 'reinhard', 'ACES filmic': 'aces', Uncharted2: 'uncharted2', AgX: 'agx' }).name('Curve');
+folderToneMapping.add(attributes, 'exposure', 0.1, 4.0).name('Exposure');
+folderToneMapping.add(attributes, 'autoExposure').name('Auto exposure');
+folderToneMapping.add(attributes, 'exposureMinEv', -10.0, 0.0).name('Min EV');
+folderToneMapping.add(attributes, 'exposureMaxEv', 0.0, 10.0).name('Max EV');
+folderToneMapping.add(attributes, 'exposureSpeedUp', 0.1, 10.0).name('Adapt to bright');
+folderToneMapping.add(attributes, 'exposureSpeedDown', 0.1, 10.0).name('Adapt to dark');
+
+const folderPost = gui.addFolder('Post processing');
+// FXAA follows the anti-aliasing setting
+for (const pass of renderer.postProcess.passes) {
+    if (pass.name != 'fxaa') folderPost.add(pass, 'enabled').name(pass.name);
+}
+folderPost.add(renderer.postProcess.get('vignette').uniforms, 'strength', 0.0, 3.0).name('Vignette');
+folderPost.add(attributes, 'motionBlurShutter', 0.0, 2.0).name('Shutter');
+folderPost.add(attributes, 'motionBlurMaxLength', 4.0, 64.0).name('Max blur');
+folderPost.add(attributes, 'motionBlurSamples', 4, 32, 1).name('Blur samples');
+
+const grading = renderer.postProcess.get('grading').uniforms;
+const levels = { lift: 0.0, gamma: 1.0, gain: 1.0 };
+const lutInput = document.createElement('input');
+lutInput.type = 'file';
+lutInput.accept = '.cube';
+lutInput.onchange = () => renderer.loadLUT(URL.createObjectURL(lutInput.files[0]));
+
+const folderGrading = gui.addFolder('Grading');
+folderGrading.add(grading, 'temperature', -100, 100).name('Temperature');
+folderGrading.add(grading, 'tint', -100, 100).name('Tint');
+folderGrading.add(levels, 'lift', -0.5, 0.5).name('Lift').onChange(v => grading.lift = [v, v, v]);
+folderGrading.add(levels, 'gamma', 0.2, 3.0).name('Gamma').onChange(v => grading.gamma = [v, v, v]);
+folderGrading.add(levels, 'gain', 0.0, 2.0).name('Gain').onChange(v => grading.gain = [v, v, v]);
+folderGrading.add(grading, 'saturation', 0.0, 2.0).name('Saturation');
+folderGrading.add({ load: () => lutInput.click() }, 'load').name('Load .cube LUT');
+folderGrading.add(grading, 'lutStrength', 0.0, 1.0).name('LUT strength');
 
 const folderAnimate = gui.addFolder('Animation');
 folderAnimate.add(controls, 'animateOn').name('On');
@@ -160,15 +260,79 @@ folderLight.open();
 for (let l in lights) {
     const light = lights[l];
     folderLight.add(light, 'visible');
+    folderLight.add(light, 'castShadow').name('shadow');
     folderLight.addColor(light, 'color');
 }
+folderLight.add(controls, 'swarm').name('Light swarm').onChange(on => {
+    for (let light of swarm) light.visible = on;
+});
 folderLight.open();
 
+const folderSun = gui.addFolder('Sun');
+folderSun.add(sun, 'visible');
+folderSun.add(sun, 'castShadow').name('shadow');
+folderSun.add(sun, 'intensity', 0.0, 2.0).name('Intensity');
+folderSun.addColor(sun, 'color');
+
+const folderSpot = gui.addFolder('Spot');
+folderSpot.add(spot, 'visible');
+folderSpot.add(spot, 'castShadow').name('shadow');
+folderSpot.add(spot, 'innerAngle', 0, 89).name('Inner');
+folderSpot.add(spot, 'outerAngle', 1, 89).name('Outer');
+folderSpot.addColor(spot, 'color');
+
+const folderSSAO = gui.addFolder('SSAO');
+folderSSAO.add(attributes, 'ssao').name('On');
+folderSSAO.add(attributes, 'ssaoRadius', 1.0, 40.0).name('Radius');
+folderSSAO.add(attributes, 'ssaoIntensity', 0.0, 3.0).name('Intensity');
+folderSSAO.add(attributes, 'ssaoSamples', 4, 64, 1).name('Samples');
+
+const folderSSR = gui.addFolder('Reflections');
+folderSSR.add(attributes, 'ssr').name('On');
+folderSSR.add(attributes, 'ssrMaxDistance', 10.0, 500.0).name('Distance');
+folderSSR.add(attributes, 'ssrThickness', 0.5, 20.0).name('Thickness');
+folderSSR.add(attributes, 'ssrSteps', 8, 128, 1).name('Steps');
+folderSSR.add(attributes, 'ssrMaxRoughness', 0.0, 1.0).name('Max roughness');
+
+const folderVolumetric = gui.addFolder('Volumetric lighting');
+folderVolumetric.add(attributes, 'volumetric').name('On');
+folderVolumetric.add(attributes, 'volumetricDensity', 0.0, 0.01).name('Density');
+folderVolumetric.add(attributes, 'volumetricAnisotropy', -0.9, 0.9).name('Anisotropy');
+folderVolumetric.add(attributes, 'volumetricSteps', 4, 128, 1).name('Steps');
+folderVolumetric.add(attributes, 'volumetricDistance', 50.0, 2000.0).name('Distance');
+
+const folderDof = gui.addFolder('Depth of field');
+folderDof.add(attributes, 'depthOfField').name('On');
+folderDof.add(renderer.camera, 'focusDistance', 10, 1000).name('Focus distance');
+folderDof.add(renderer.camera, 'fStop', 1.0, 22.0).name('f-stop');
+folderDof.add(renderer.camera, 'focalLength', 14, 200).name('Focal length');
+folderDof.add(renderer.camera, 'apertureBlades', 0, 9, 1).name('Blades');
+folderDof.add(attributes, 'dofMaxBlur', 4.0, 64.0).name('Max blur');
+
+const folderEnv = gui.addFolder('Environment');
+folderEnv.add(renderer.environment, 'intensity', 0.0, 2.0).name('Intensity');
+folderEnv.add(renderer.environment, 'rotation', 0, 360).name('Rotation');
+
+const folderBackground = gui.addFolder('Background');
+folderBackground.add(scene.background, 'type', { Color: 'color', Gradient: 'gradient', Environment: 'cube' }).name('Type');
+folderBackground.addColor(scene.background, 'color').name('Color / top');
+folderBackground.addColor(scene.background, 'bottom').name('Bottom');
+folderBackground.add(scene.background, 'intensity', 0.0, 2.0).name('Intensity');
+
+const folderFog = gui.addFolder('Fog');
+folderFog.add(scene.fog, 'density', 0.0, 0.01).name('Density');
+folderFog.add(scene.fog, 'start', 0, 1000).name('Start');
+folderFog.add(scene.fog, 'heightFalloff', 0.0, 0.05).name('Height falloff');
+folderFog.add(scene.fog, 'height', -200, 200).name('Height');
+folderFog.addColor(scene.fog, 'color').name('Color');
+
 const folderMesh = gui.addFolder('Objects');
 for (let m in meshes) {
     const mesh = meshes[m];
     folderMesh.add(mesh, 'visible').name(mesh.name);
 }
+folderMesh.add(decal, 'visible').name(decal.name);
+folderMesh.add(renderer.materials.lava, 'emissiveStrength', 0.0, 5.0).name('Lava glow');
 folderMesh.open();
 
 class Animator {